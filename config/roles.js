@@ -0,0 +1,36 @@
+// Papéis de usuário e permissões de cada um.
+// Toda rota protegida declara a permissão de que precisa (ver middlewares/requirePermission.js).
+
+const ROLES = ['admin', 'editor', 'support'];
+
+const PERMISSIONS = {
+  // Administrador: acesso total, inclusive gestão de usuários
+  admin: ['*'],
+
+  // Editor: conteúdo do site (produtos, categorias, posts e carrossel)
+  editor: [
+    'products:write',
+    'categories:write',
+    'catalog:export',
+    'posts:read',
+    'posts:write',
+    'carousel:write'
+  ],
+
+  // Atendimento: leitura e triagem das mensagens de contato e das cotações
+  support: [
+    'contact:read',
+    'contact:triage',
+    'quotes:read',
+    'quotes:manage'
+  ]
+};
+
+// Verifica se um papel possui determinada permissão
+function hasPermission(role, permission) {
+  const granted = PERMISSIONS[role];
+  if (!granted) return false;
+  return granted.includes('*') || granted.includes(permission);
+}
+
+module.exports = { ROLES, PERMISSIONS, hasPermission };
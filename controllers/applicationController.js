@@ -0,0 +1,170 @@
+// controllers/applicationController.js
+
+const Application = require("../models/Application");
+const Product = require("../models/Product");
+const { normalizeText } = require("../utils/search");
+
+// ─── Helper: filtro comum a partir da query ─────────────────────────────────────
+// ?type=&make=&model=&year=&engine=&position=
+// Retorna null se o ano informado for inválido
+function buildApplicationFilter(query) {
+  const filter = {};
+
+  if (query.type)     filter.vehicleType = String(query.type);
+  if (query.make)     filter.makeKey = normalizeText(query.make);
+  if (query.model)    filter.modelKey = normalizeText(query.model);
+  if (query.engine)   filter.engineKey = normalizeText(query.engine);
+  if (query.position) filter.position = String(query.position);
+
+  if (query.year !== undefined) {
+    const year = parseInt(query.year, 10);
+    if (!year) return null;
+    // Faixa aberta (sem yearFrom/yearTo) vale para qualquer ano
+    filter.$and = [
+      { $or: [{ yearFrom: null }, { yearFrom: { $lte: year } }] },
+      { $or: [{ yearTo: null }, { yearTo: { $gte: year } }] }
+    ];
+  }
+
+  return filter;
+}
+
+// Agrupa por chave normalizada mantendo o primeiro nome "bonito" encontrado
+async function distinctLabels(filter, keyField, labelField) {
+  const rows = await Application.aggregate([
+    { $match: filter },
+    { $group: { _id: `$${keyField}`, label: { $first: `$${labelField}` }, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map(r => ({ name: r.label, applications: r.count }));
+}
+
+// ─── MARCAS ──────────────────────────────────────────────────────────────────────
+// GET /api/applications/makes?type=
+exports.getMakes = async (req, res) => {
+  try {
+    const filter = buildApplicationFilter({ type: req.query.type });
+    return res.status(200).json(await distinctLabels(filter, "makeKey", "make"));
+  } catch (error) {
+    console.error("Erro em getMakes:", error);
+    return res.status(500).json({ message: "Erro ao buscar marcas." });
+  }
+};
+
+// ─── MODELOS ─────────────────────────────────────────────────────────────────────
+// GET /api/applications/models?make=&type=
+exports.getModels = async (req, res) => {
+  if (!req.query.make) {
+    return res.status(400).json({ message: "Informe a marca (make)." });
+  }
+
+  try {
+    const filter = buildApplicationFilter({ type: req.query.type, make: req.query.make });
+    return res.status(200).json(await distinctLabels(filter, "modelKey", "model"));
+  } catch (error) {
+    console.error("Erro em getModels:", error);
+    return res.status(500).json({ message: "Erro ao buscar modelos." });
+  }
+};
+
+// ─── ANOS ────────────────────────────────────────────────────────────────────────
+// GET /api/applications/years?make=&model=&type=
+// allYears = true quando alguma aplicação não tem faixa de anos definida
+exports.getYears = async (req, res) => {
+  if (!req.query.make || !req.query.model) {
+    return res.status(400).json({ message: "Informe a marca (make) e o modelo (model)." });
+  }
+
+  try {
+    const filter = buildApplicationFilter({
+      type: req.query.type,
+      make: req.query.make,
+      model: req.query.model
+    });
+    const apps = await Application.find(filter).select("yearFrom yearTo").lean();
+
+    const currentYear = new Date().getFullYear();
+    const years = new Set();
+    let allYears = false;
+
+    for (const app of apps) {
+      if (!app.yearFrom) {
+        allYears = true;
+        continue;
+      }
+      const to = Math.min(app.yearTo || currentYear, currentYear + 1);
+      for (let y = app.yearFrom; y <= to; y++) years.add(y);
+    }
+
+    return res.status(200).json({
+      years: [...years].sort((a, b) => b - a),
+      allYears
+    });
+  } catch (error) {
+    console.error("Erro em getYears:", error);
+    return res.status(500).json({ message: "Erro ao buscar anos." });
+  }
+};
+
+// ─── MOTORES ─────────────────────────────────────────────────────────────────────
+// GET /api/applications/engines?make=&model=&year=&type=
+exports.getEngines = async (req, res) => {
+  if (!req.query.make || !req.query.model) {
+    return res.status(400).json({ message: "Informe a marca (make) e o modelo (model)." });
+  }
+
+  try {
+    const filter = buildApplicationFilter({
+      type: req.query.type,
+      make: req.query.make,
+      model: req.query.model,
+      year: req.query.year
+    });
+    if (!filter) {
+      return res.status(400).json({ message: "Ano inválido." });
+    }
+    return res.status(200).json(await distinctLabels(filter, "engineKey", "engine"));
+  } catch (error) {
+    console.error("Erro em getEngines:", error);
+    return res.status(500).json({ message: "Erro ao buscar motores." });
+  }
+};
+
+// ─── PRODUTOS PARA O VEÍCULO ─────────────────────────────────────────────────────
+// GET /api/applications/products?make=&model=&year=&engine=&position=&type=
+// Devolve cada produto com as aplicações que casaram com o filtro
+exports.getProducts = async (req, res) => {
+  if (!req.query.make || !req.query.model) {
+    return res.status(400).json({ message: "Informe a marca (make) e o modelo (model)." });
+  }
+
+  try {
+    const filter = buildApplicationFilter(req.query);
+    if (!filter) {
+      return res.status(400).json({ message: "Ano inválido." });
+    }
+
+    const apps = await Application.find(filter)
+      .select("-makeKey -modelKey -engineKey")
+      .sort({ position: 1 })
+      .limit(500)
+      .lean();
+
+    const byProduct = new Map();
+    for (const app of apps) {
+      const id = String(app.product);
+      if (!byProduct.has(id)) byProduct.set(id, []);
+      byProduct.get(id).push(app);
+    }
+
+    const products = await Product.find({ _id: { $in: [...byProduct.keys()] } });
+    return res.status(200).json(products.map(product => ({
+      product,
+      applications: byProduct.get(String(product._id))
+    })));
+  } catch (error) {
+    console.error("Erro em getProducts:", error);
+    return res.status(500).json({ message: "Erro ao buscar produtos para o veículo." });
+  }
+};
@@ -1,8 +1,27 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User'); // Modelo de usuário sem bcrypt (senha em texto puro)
+const User = require('../models/User');
+const { checkPasswordPolicy } = require('../utils/password');
+const { randomToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { issueChallengeToken } = require('./twoFactorController');
+const {
+  lockedUntil,
+  registerFailure,
+  registerSuccess,
+  recordLoginAttempt,
+  sendLocked
+} = require('../utils/loginGuard');
+const {
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+} = require('../utils/sessions');
 
 // ======================================
-// ✅ Função de Login (sem bcrypt)
+// ✅ Função de Login
 // ======================================
 exports.login = async (req, res) => {
   const { username, password } = req.body;
@@ -14,27 +33,59 @@ exports.login = async (req, res) => {
 
   try {
     // Verifica se o usuário existe
-    const user = await User.findOne({ username });
+    const user = await User.findOne({ username: String(username) });
     if (!user) {
+      await recordLoginAttempt(req, { username, outcome: 'unknown-user' });
       return res.status(401).json({ error: "Usuário não encontrado." });
     }
 
-    // ❌ Comparação literal (texto puro)
-    if (password !== user.password) {
+    // Conta bloqueada: nem chega a comparar a senha
+    const blockedUntil = lockedUntil(user);
+    if (blockedUntil) {
+      await recordLoginAttempt(req, { user, username, outcome: 'locked' });
+      return sendLocked(res, blockedUntil);
+    }
+
+    // Comparação bcrypt (ou tempo constante para registros legados)
+    const passwordOk = await user.comparePassword(password);
+    if (!passwordOk) {
+      const lockedNow = await registerFailure(user);
+      await recordLoginAttempt(req, { user, username, outcome: 'invalid-password' });
+      if (lockedNow) return sendLocked(res, lockedNow);
       return res.status(401).json({ error: "Senha inválida." });
     }
 
-    // Gera o token JWT (certifique-se de ter process.env.JWT_SECRET definido no .env)
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET, 
-      { expiresIn: '8h' }
-    );
+    if (user.disabled) {
+      await recordLoginAttempt(req, { user, username, outcome: 'disabled' });
+      return res.status(403).json({ error: "Usuário desativado." });
+    }
+
+    // Registro legado em texto puro: regrava já com hash (hook do model)
+    if (user.needsPasswordUpgrade()) {
+      user.password = password;
+      await user.save();
+    }
+
+    // 2FA ativo: o JWT só é emitido após /2fa/verify com o código TOTP
+    if (user.twoFactorEnabled) {
+      await recordLoginAttempt(req, { user, username, outcome: '2fa-challenge' });
+      return res.status(200).json({
+        message: "Informe o código do aplicativo autenticador.",
+        twoFactorRequired: true,
+        challengeToken: issueChallengeToken(user)
+      });
+    }
 
-    // Retorna token e role para o front-end
+    // Abre uma sessão: access token curto + refresh token rotativo
+    const { token, refreshToken } = await createSession(user, req);
+    await recordLoginAttempt(req, { user, username, outcome: 'success' });
+    await registerSuccess(user);
+
+    // Retorna tokens e role para o front-end
     res.status(200).json({
       message: "Login realizado com sucesso.",
       token,
+      refreshToken,
       role: user.role
     });
   } catch (error) {
@@ -46,7 +97,7 @@ exports.login = async (req, res) => {
 // ======================================
 // ✅ Função de Validação de Token
 // ======================================
-exports.validateToken = (req, res) => {
+exports.validateToken = async (req, res) => {
   const token = req.headers.authorization?.split(" ")[1];
 
   if (!token) {
@@ -55,6 +106,9 @@ exports.validateToken = (req, res) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: "Sessão encerrada." });
+    }
     res.status(200).json({
       valid: true,
       userId: decoded.id,
@@ -65,37 +119,273 @@ exports.validateToken = (req, res) => {
   }
 };
 
+// ======================================
+// ✅ Renovação de Token (refresh rotativo)
+// ======================================
+exports.refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: "Refresh token não fornecido." });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (result.error === 'reused') {
+      return res.status(401).json({ error: "Refresh token reutilizado. Sessão encerrada por segurança." });
+    }
+    if (result.error) {
+      return res.status(401).json({ error: "Refresh token inválido ou expirado." });
+    }
+
+    res.status(200).json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error("Erro ao renovar token:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
+
 // ======================================
 // ✅ Função de Logout
 // ======================================
-exports.logout = (req, res) => {
-  // Em JWT, não há sessão no servidor para encerrar
-  // O logout ocorre removendo o token do lado do cliente (localStorage, cookies, etc.)
-  res.status(200).json({ message: "Logout realizado com sucesso." });
+// Revoga a sessão do refresh token enviado no corpo ou, na falta dele,
+// a sessão do access token do cabeçalho Authorization.
+exports.logout = async (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  try {
+    let sessionId = null;
+
+    if (refreshToken) {
+      const session = await findSessionByRefreshToken(refreshToken);
+      if (session) sessionId = session._id;
+    } else {
+      const token = req.headers.authorization?.split(" ")[1];
+      if (token) {
+        try {
+          sessionId = jwt.verify(token, process.env.JWT_SECRET).sid;
+        } catch (err) {
+          sessionId = null;
+        }
+      }
+    }
+
+    if (sessionId) await revokeSession(sessionId, 'logout');
+    res.status(200).json({ message: "Logout realizado com sucesso." });
+  } catch (error) {
+    console.error("Erro no logout:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
+
+// ======================================
+// ✅ Logout de Todas as Sessões
+// ======================================
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout-all');
+    res.status(200).json({ message: "Todas as sessões foram encerradas.", revoked });
+  } catch (error) {
+    console.error("Erro no logout de todas as sessões:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
+
+// ======================================
+// ✅ Troca de Senha (o próprio usuário)
+// ======================================
+exports.changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: "Por favor, preencha todos os campos." });
+  }
+
+  const passwordProblems = checkPasswordPolicy(newPassword);
+  if (passwordProblems.length) {
+    return res.status(400).json({ error: "Senha fraca.", details: passwordProblems });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ error: "Senha atual incorreta." });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Mantém apenas a sessão atual; as demais precisam logar de novo
+    await revokeAllSessions(user._id, 'password-changed', req.user.sid);
+
+    res.status(200).json({ message: "Senha alterada com sucesso." });
+  } catch (error) {
+    console.error("Erro ao trocar senha:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
+
+// ======================================
+// ✅ Esqueci Minha Senha
+// ======================================
+// Validade do link de recuperação (padrão: 30 minutos)
+const RESET_TOKEN_TTL_MS = (parseInt(process.env.RESET_TOKEN_TTL_MINUTES, 10) || 30) * 60 * 1000;
+
+// Página do front-end que recebe ?token= e chama POST /api/auth/reset-password.
+// Obrigatória: o back-end não tem página própria de redefinição.
+function buildResetLink(token) {
+  const base = process.env.RESET_PASSWORD_URL;
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}token=${encodeURIComponent(token)}`;
+}
+
+async function sendResetEmail(user, link) {
+  await sendMail({
+    to: user.email,
+    subject: "Recuperação de senha - Total Filter",
+    text:
+      `Olá, ${user.username}.\n\n` +
+      `Recebemos um pedido para redefinir sua senha. Acesse o link abaixo ` +
+      `(válido por ${Math.round(RESET_TOKEN_TTL_MS / 60000)} minutos):\n\n${link}\n\n` +
+      `Se você não fez esse pedido, ignore este e-mail.`
+  });
+}
+
+exports.forgotPassword = async (req, res) => {
+  const { username } = req.body;
+
+  // A resposta é sempre a mesma para não revelar se o usuário existe
+  const genericResponse = {
+    message: "Se o usuário existir e tiver e-mail cadastrado, enviaremos um link de recuperação."
+  };
+
+  if (!username) {
+    return res.status(400).json({ error: "Informe o nome de usuário." });
+  }
+
+  // Sem a URL do front-end o link enviado não levaria a lugar nenhum
+  if (!process.env.RESET_PASSWORD_URL) {
+    console.error("RESET_PASSWORD_URL não configurada: recuperação de senha desativada.");
+    return res.status(503).json({ error: "Recuperação de senha indisponível no momento." });
+  }
+
+  try {
+    const user = await User.findOne({ username: String(username) });
+
+    if (user && user.email && !user.disabled) {
+      const token = randomToken();
+      user.passwordResetTokenHash = hashToken(token);
+      user.passwordResetExpiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+      await user.save();
+
+      // Envio fora do ciclo da requisição: o tempo de resposta não denuncia o usuário
+      sendResetEmail(user, buildResetLink(token)).catch(err => {
+        console.error("Erro ao enviar e-mail de recuperação:", err);
+      });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Erro em forgotPassword:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
 };
 
 // ======================================
-// ✅ Criar Usuário Admin (sem bcrypt)
+// ✅ Redefinir Senha (com token do e-mail)
 // ======================================
+exports.resetPassword = async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    return res.status(400).json({ error: "Por favor, preencha todos os campos." });
+  }
+
+  const passwordProblems = checkPasswordPolicy(newPassword);
+  if (passwordProblems.length) {
+    return res.status(400).json({ error: "Senha fraca.", details: passwordProblems });
+  }
+
+  try {
+    // Token de uso único: consumido de forma atômica, então duas requisições
+    // simultâneas com o mesmo token não conseguem usá-lo ao mesmo tempo
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(String(token)),
+        passwordResetExpiresAt: { $gt: new Date() },
+        disabled: { $ne: true }
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ error: "Link de recuperação inválido ou expirado." });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password-reset');
+
+    res.status(200).json({ message: "Senha redefinida com sucesso. Faça login novamente." });
+  } catch (error) {
+    console.error("Erro em resetPassword:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
+
+// ======================================
+// ✅ Criar Usuário Admin (bootstrap)
+// ======================================
+// Só funciona enquanto não existir nenhum usuário no banco.
+// Depois disso, novos usuários são criados via /api/users.
 exports.createAdmin = async (req, res) => {
-  const { username, password } = req.body;
+  const { username, password, email } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: "Por favor, preencha todos os campos." });
+  }
+
+  const passwordProblems = checkPasswordPolicy(password);
+  if (passwordProblems.length) {
+    return res.status(400).json({ error: "Senha fraca.", details: passwordProblems });
+  }
 
   try {
-    const existingAdmin = await User.findOne({ username });
-    if (existingAdmin) {
-      return res.status(400).json({ error: "Admin já existe." });
+    const userCount = await User.countDocuments();
+    if (userCount > 0) {
+      return res.status(403).json({
+        error: "Já existem usuários cadastrados. Use /api/users com um token de administrador."
+      });
     }
 
-    // Armazena senha em texto puro
+    // A senha é convertida em hash bcrypt no pre('save') do model
     const newAdmin = new User({
       username,
       password,
-      role: 'admin'
+      email: email || undefined,
+      role: 'admin',
+      bootstrapAdmin: true
     });
 
     await newAdmin.save();
-    res.status(201).json({ message: "Admin criado com sucesso (sem bcrypt)." });
+    res.status(201).json({ message: "Admin criado com sucesso." });
   } catch (error) {
+    // Outra requisição de bootstrap criou o admin ao mesmo tempo
+    if (error.code === 11000) {
+      return res.status(403).json({
+        error: "Já existem usuários cadastrados. Use /api/users com um token de administrador."
+      });
+    }
     console.error("Erro ao criar admin:", error);
     res.status(500).json({ error: "Erro interno ao criar o admin." });
   }
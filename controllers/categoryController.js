@@ -0,0 +1,233 @@
+// controllers/categoryController.js
+
+const mongoose = require("mongoose");
+const { validationResult } = require("express-validator");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const { uniqueSlug } = require("../utils/slugify");
+
+// ─── Helper: calcula ancestors a partir do pai ──────────────────────────────────
+async function buildAncestors(parentId) {
+  if (!parentId) return [];
+  const parent = await Category.findById(parentId).select("ancestors").lean();
+  if (!parent) return null;
+  return [...parent.ancestors, parent._id];
+}
+
+// ─── Helper: monta a árvore com contagem de produtos ─────────────────────────────
+// productCount = produtos diretamente na categoria
+// totalProductCount = produtos distintos na categoria ou em qualquer descendente
+async function buildTree() {
+  const [categories, products] = await Promise.all([
+    Category.find().sort({ order: 1, name: 1 }).lean(),
+    Product.find({ "categories.0": { $exists: true } }).select("categories").lean()
+  ]);
+
+  const byId = new Map(categories.map(c => [
+    String(c._id),
+    { ...c, productCount: 0, totalProductCount: 0, children: [] }
+  ]));
+
+  for (const product of products) {
+    const counted = new Set();
+    for (const catId of product.categories) {
+      const node = byId.get(String(catId));
+      if (!node) continue;
+      node.productCount++;
+      for (const id of [...node.ancestors.map(String), String(node._id)]) {
+        if (counted.has(id) || !byId.has(id)) continue;
+        counted.add(id);
+        byId.get(id).totalProductCount++;
+      }
+    }
+  }
+
+  const roots = [];
+  for (const node of byId.values()) {
+    const parent = node.parent && byId.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+// ─── CRIAR CATEGORIA ─────────────────────────────────────────────────────────────
+// POST /api/categories
+exports.createCategory = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, description, parent, order, slug } = req.body;
+
+    const ancestors = await buildAncestors(parent);
+    if (ancestors === null) {
+      return res.status(400).json({ message: "Categoria pai não encontrada." });
+    }
+
+    // Sem order explícito, entra no fim da lista de irmãs
+    const position = order !== undefined
+      ? Number(order)
+      : await Category.countDocuments({ parent: parent || null });
+
+    const category = await Category.create({
+      name: name.trim(),
+      slug: await uniqueSlug(Category, slug || name),
+      description: description ? description.trim() : undefined,
+      parent: parent || null,
+      ancestors,
+      order: position
+    });
+
+    return res.status(201).json(category);
+  } catch (error) {
+    console.error("Erro em createCategory:", error);
+    return res.status(500).json({ message: "Erro interno ao criar categoria." });
+  }
+};
+
+// ─── LISTAR CATEGORIAS ───────────────────────────────────────────────────────────
+// GET /api/categories
+exports.getCategories = async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ order: 1, name: 1 });
+    return res.status(200).json(categories);
+  } catch (error) {
+    console.error("Erro em getCategories:", error);
+    return res.status(500).json({ message: "Erro ao buscar categorias." });
+  }
+};
+
+// ─── ÁRVORE DE CATEGORIAS ────────────────────────────────────────────────────────
+// GET /api/categories/tree
+exports.getCategoryTree = async (req, res) => {
+  try {
+    return res.status(200).json(await buildTree());
+  } catch (error) {
+    console.error("Erro em getCategoryTree:", error);
+    return res.status(500).json({ message: "Erro ao montar árvore de categorias." });
+  }
+};
+
+// ─── OBTER CATEGORIA (ID ou slug) ────────────────────────────────────────────────
+// GET /api/categories/:idOrSlug
+exports.getCategory = async (req, res) => {
+  try {
+    const value = req.params.idOrSlug;
+    const filter = mongoose.Types.ObjectId.isValid(value) ? { _id: value } : { slug: value.toLowerCase() };
+
+    const category = await Category.findOne(filter).populate("ancestors", "name slug");
+    if (!category) {
+      return res.status(404).json({ message: "Categoria não encontrada." });
+    }
+
+    const children = await Category.find({ parent: category._id }).sort({ order: 1, name: 1 });
+    return res.status(200).json({ ...category.toObject(), children });
+  } catch (error) {
+    console.error("Erro em getCategory:", error);
+    return res.status(500).json({ message: "Erro ao buscar categoria." });
+  }
+};
+
+// ─── ATUALIZAR CATEGORIA ─────────────────────────────────────────────────────────
+// PUT /api/categories/:id
+exports.updateCategory = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Categoria não encontrada." });
+    }
+
+    const { name, description, parent, order, slug } = req.body;
+
+    if (name !== undefined) category.name = name.trim();
+    if (description !== undefined) category.description = description ? description.trim() : undefined;
+    if (order !== undefined) category.order = Number(order);
+    if (slug !== undefined) category.slug = await uniqueSlug(Category, slug, category._id);
+
+    // Mudança de pai: impede ciclos e recalcula ancestors de toda a subárvore
+    const newParent = parent || null;
+    if (parent !== undefined && String(newParent) !== String(category.parent)) {
+      if (newParent && String(newParent) === String(category._id)) {
+        return res.status(400).json({ message: "Uma categoria não pode ser pai de si mesma." });
+      }
+
+      const ancestors = await buildAncestors(newParent);
+      if (ancestors === null) {
+        return res.status(400).json({ message: "Categoria pai não encontrada." });
+      }
+      if (ancestors.some(id => String(id) === String(category._id))) {
+        return res.status(400).json({ message: "Não é possível mover uma categoria para dentro de uma descendente." });
+      }
+
+      const oldPath = [...category.ancestors, category._id];
+      const newPath = [...ancestors, category._id];
+      category.parent = newParent;
+      category.ancestors = ancestors;
+
+      const descendants = await Category.find({ ancestors: category._id });
+      await Promise.all(descendants.map(d => {
+        const relative = d.ancestors.slice(oldPath.length);
+        d.ancestors = [...newPath, ...relative];
+        return d.save();
+      }));
+    }
+
+    await category.save();
+    return res.status(200).json(category);
+  } catch (error) {
+    console.error("Erro em updateCategory:", error);
+    return res.status(500).json({ message: "Erro ao atualizar categoria." });
+  }
+};
+
+// ─── REORDENAR CATEGORIAS IRMÃS ──────────────────────────────────────────────────
+// POST /api/categories/reorder   Body: { order: [id1, id2, ...] }
+exports.reorderCategories = async (req, res) => {
+  try {
+    const { order } = req.body;
+    if (!Array.isArray(order) || !order.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: "Formato de ordem inválido." });
+    }
+
+    await Promise.all(order.map((id, idx) =>
+      Category.findByIdAndUpdate(id, { order: idx })
+    ));
+
+    return res.status(200).json({ message: "Ordem atualizada com sucesso." });
+  } catch (error) {
+    console.error("Erro em reorderCategories:", error);
+    return res.status(500).json({ message: "Erro ao reordenar categorias." });
+  }
+};
+
+// ─── DELETAR CATEGORIA ───────────────────────────────────────────────────────────
+// DELETE /api/categories/:id
+exports.deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Categoria não encontrada." });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({ message: "Remova ou mova as subcategorias antes de excluir esta categoria." });
+    }
+
+    // Produtos continuam existindo, apenas deixam de apontar para a categoria
+    await Product.updateMany({ categories: category._id }, { $pull: { categories: category._id } });
+    await Category.deleteOne({ _id: category._id });
+
+    return res.status(200).json({ message: "Categoria removida com sucesso." });
+  } catch (error) {
+    console.error("Erro em deleteCategory:", error);
+    return res.status(500).json({ message: "Erro ao deletar categoria." });
+  }
+};
@@ -1,6 +1,57 @@
-const { body, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
 const ContactMessage = require('../models/ContactMessage');
+const User = require('../models/User');
+const { escapeRegex } = require('../utils/search');
+const { notifyNewContactMessage } = require('../utils/notifications');
+const { issueFormToken, assessContactMessage, MIN_FILL_MS, HARD_FAIL } = require('../utils/contactSpam');
 
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const USER_FIELDS = 'username';
+
+// Populações usadas nas respostas do painel
+const populateMessage = query => query
+  .populate('assignedTo', USER_FIELDS)
+  .populate('notes.author', USER_FIELDS)
+  .populate('statusHistory.by', USER_FIELDS);
+
+// Monta o filtro da listagem a partir da query:
+//   status=new,read   (padrão: tudo menos spam)
+//   from / to         (datas ISO sobre a data de envio)
+//   q                 (todas as palavras em nome, e-mail, telefone ou mensagem)
+//   assignedTo=me|none|<id>
+function buildMessageFilter(query, userId) {
+  const conditions = [];
+
+  const statuses = String(query.status || '').split(',').map(s => s.trim()).filter(Boolean);
+  conditions.push(statuses.length
+    ? ContactMessage.statusFilter(statuses)
+    : { status: { $ne: 'spam' } });
+
+  if (query.from || query.to) {
+    const date = {};
+    if (query.from) date.$gte = new Date(query.from);
+    if (query.to) date.$lte = new Date(query.to);
+    conditions.push({ date });
+  }
+
+  const words = String(query.q || '').trim().split(/\s+/).filter(Boolean);
+  for (const word of words) {
+    const pattern = new RegExp(escapeRegex(word), 'i');
+    conditions.push({ $or: [{ nome: pattern }, { email: pattern }, { telefone: pattern }, { mensagem: pattern }] });
+  }
+
+  if (query.assignedTo === 'me') conditions.push({ assignedTo: userId });
+  else if (query.assignedTo === 'none') conditions.push({ assignedTo: null });
+  else if (query.assignedTo) conditions.push({ assignedTo: query.assignedTo });
+
+  return { $and: conditions };
+}
+
+// true se o erro for o índice único de formTokenId (mesmo token em dois envios simultâneos)
+function isFormTokenConflict(err) {
+  return err.code === 11000 && Boolean(err.keyPattern && err.keyPattern.formTokenId);
+}
 
 // Função para enviar uma nova mensagem de contato
 exports.sendMessage = async (req, res) => {
@@ -13,16 +64,57 @@ exports.sendMessage = async (req, res) => {
   const { nome, email, telefone, mensagem } = req.body;
 
   try {
+    // Mesma mensagem já recebida do mesmo e-mail ou IP na janela de duplicatas
+    const findDuplicate = (hash, since) => ContactMessage.exists({
+      contentHash: hash,
+      date: { $gte: since },
+      $or: [{ email }, { ip: req.ip }]
+    });
+    const isTokenUsed = id => ContactMessage.exists({ formTokenId: id });
+    const assessment = await assessContactMessage(req.body, { findDuplicate, isTokenUsed });
+
     // Criando uma nova mensagem
     const newMessage = new ContactMessage({
       nome,
       email,
       telefone,
-      mensagem
+      mensagem,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      contentHash: assessment.contentHash,
+      formTokenId: assessment.formTokenId || undefined,
+      spamScore: assessment.score,
+      spamReasons: assessment.reasons.length ? assessment.reasons : undefined
     });
 
-    // Salvando no banco de dados
-    await newMessage.save();
+    // Spam fica guardado com status próprio (pode ser revisto no painel)
+    if (assessment.isSpam) {
+      newMessage.transitionTo('spam', null);
+    }
+
+    // Salvando no banco de dados. Token já gravado por outro envio que passou pela
+    // checagem ao mesmo tempo: esta cópia fica como spam, sem o jti.
+    let isSpam = assessment.isSpam;
+    try {
+      await newMessage.save();
+    } catch (err) {
+      if (!isFormTokenConflict(err)) throw err;
+      isSpam = true;
+      newMessage.formTokenId = undefined;
+      newMessage.spamScore += HARD_FAIL;
+      newMessage.spamReasons = [...(newMessage.spamReasons || []), 'token-reutilizado'];
+      newMessage.transitionTo('spam', null);
+      await newMessage.save();
+    }
+
+    // E-mails e webhook vão para a fila; a resposta não espera a entrega
+    if (!isSpam) {
+      notifyNewContactMessage(newMessage).catch(err =>
+        console.error("Erro ao enfileirar notificações de contato:", err)
+      );
+    }
+
+    // A resposta é a mesma para spam, para não ensinar o bot a contornar o filtro
     res.status(201).json({ message: "Mensagem enviada com sucesso!" });
   } catch (err) {
     console.error("Erro ao enviar mensagem:", err);
@@ -30,17 +122,209 @@ exports.sendMessage = async (req, res) => {
   }
 };
 
-// Função para listar todas as mensagens de contato
+// Token do formulário: o site pede um ao abrir o formulário e o envia junto (campo formToken)
+// GET /api/contact/form-token
+exports.getFormToken = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ formToken: issueFormToken(), minFillSeconds: MIN_FILL_MS / 1000 });
+};
+
+// Função para listar as mensagens de contato (paginada, com filtros)
+// GET /api/contact/messages?status=&from=&to=&q=&assignedTo=&page=1&limit=20
 exports.getAllMessages = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const messages = await ContactMessage.find().sort({ date: -1 }); // Lista as mensagens em ordem decrescente
-    res.status(200).json(messages);
+    const filter = buildMessageFilter(req.query, req.user.id);
+    const page  = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [messages, total] = await Promise.all([
+      ContactMessage.find(filter)
+        .select('-statusHistory')
+        .sort({ date: -1 }) // Lista as mensagens em ordem decrescente
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('assignedTo', USER_FIELDS)
+        .populate('notes.author', USER_FIELDS),
+      ContactMessage.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      messages,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      limit
+    });
   } catch (err) {
     console.error("Erro ao buscar mensagens:", err);
     res.status(500).json({ error: "Erro ao buscar mensagens de contato!" });
   }
 };
 
+// Contadores para o badge do painel
+// GET /api/contact/messages/unread-count
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const grouped = await ContactMessage.aggregate([
+      { $group: { _id: { $ifNull: ['$status', 'new'] }, count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = Object.fromEntries(ContactMessage.STATUSES.map(status => [status, 0]));
+    for (const g of grouped) {
+      if (g._id in byStatus) byStatus[g._id] = g.count;
+    }
+
+    const assignedToMe = await ContactMessage.countDocuments({
+      assignedTo: req.user.id,
+      ...ContactMessage.statusFilter(['new', 'read', 'in_progress'])
+    });
+
+    res.status(200).json({ unread: byStatus.new, assignedToMe, byStatus });
+  } catch (err) {
+    console.error("Erro ao contar mensagens:", err);
+    res.status(500).json({ error: "Erro ao contar mensagens de contato!" });
+  }
+};
+
+// Detalhe de uma mensagem; abrir uma mensagem nova a marca como lida
+// GET /api/contact/messages/:id
+exports.getMessageById = async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: "Mensagem não encontrada!" });
+    }
+
+    if (message.status === 'new' && message.transitionTo('read', req.user.id)) {
+      await message.save();
+    }
+
+    await populateMessage(message);
+    res.status(200).json(message);
+  } catch (err) {
+    console.error("Erro ao buscar mensagem:", err);
+    res.status(500).json({ error: "Erro ao buscar mensagem de contato!" });
+  }
+};
+
+// Muda o status da mensagem
+// PATCH /api/contact/messages/:id/status  { status }
+exports.updateStatus = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: "Mensagem não encontrada!" });
+    }
+
+    if (message.transitionTo(req.body.status, req.user.id)) {
+      await message.save();
+    }
+
+    await populateMessage(message);
+    res.status(200).json({ message: "Status atualizado com sucesso!", contactMessage: message });
+  } catch (err) {
+    console.error("Erro ao atualizar status da mensagem:", err);
+    res.status(500).json({ error: "Erro ao atualizar status da mensagem!" });
+  }
+};
+
+// Adiciona uma nota interna
+// POST /api/contact/messages/:id/notes  { text }
+exports.addNote = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: "Mensagem não encontrada!" });
+    }
+
+    message.notes.push({ text: req.body.text, author: req.user.id });
+    await message.save();
+
+    await populateMessage(message);
+    res.status(201).json({ message: "Nota adicionada com sucesso!", contactMessage: message });
+  } catch (err) {
+    console.error("Erro ao adicionar nota:", err);
+    res.status(500).json({ error: "Erro ao adicionar nota!" });
+  }
+};
+
+// Remove uma nota interna (apenas o autor da nota)
+// DELETE /api/contact/messages/:id/notes/:noteId
+exports.deleteNote = async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+    const note = message && message.notes.id(req.params.noteId);
+    if (!note) {
+      return res.status(404).json({ error: "Nota não encontrada!" });
+    }
+    if (String(note.author) !== String(req.user.id)) {
+      return res.status(403).json({ error: "Somente o autor pode remover a nota." });
+    }
+
+    note.deleteOne();
+    await message.save();
+
+    await populateMessage(message);
+    res.status(200).json({ message: "Nota removida com sucesso!", contactMessage: message });
+  } catch (err) {
+    console.error("Erro ao remover nota:", err);
+    res.status(500).json({ error: "Erro ao remover nota!" });
+  }
+};
+
+// Atribui a mensagem a um usuário (null remove a atribuição)
+// PUT /api/contact/messages/:id/assignee  { userId }
+exports.assignMessage = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { userId } = req.body;
+
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: "Mensagem não encontrada!" });
+    }
+
+    if (userId) {
+      const user = await User.findById(userId);
+      if (!user || user.disabled) {
+        return res.status(400).json({ error: "Usuário inválido ou desativado." });
+      }
+    }
+
+    message.assignedTo = userId || null;
+    // Assumir uma mensagem ainda não tratada a coloca em andamento
+    if (userId && ['new', 'read'].includes(message.status)) {
+      message.transitionTo('in_progress', req.user.id);
+    }
+    await message.save();
+
+    await populateMessage(message);
+    res.status(200).json({ message: "Atribuição atualizada com sucesso!", contactMessage: message });
+  } catch (err) {
+    console.error("Erro ao atribuir mensagem:", err);
+    res.status(500).json({ error: "Erro ao atribuir mensagem!" });
+  }
+};
+
 // Função para deletar uma mensagem específica
 exports.deleteMessage = async (req, res) => {
   try {
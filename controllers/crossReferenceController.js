@@ -0,0 +1,244 @@
+// controllers/crossReferenceController.js
+
+const mongoose = require("mongoose");
+const { validationResult } = require("express-validator");
+const CrossReference = require("../models/CrossReference");
+const Product = require("../models/Product");
+const { normalizeText, normalizeCode, escapeRegex } = require("../utils/search");
+
+// Limite de linhas por importação em lote
+const BULK_IMPORT_MAX = 5000;
+
+// ─── Helper: identifica o produto por ID ou pelo código Total Filter ────────────
+async function findProductId({ product, productCode }) {
+  if (product && mongoose.Types.ObjectId.isValid(product)) {
+    const found = await Product.exists({ _id: product });
+    return found ? found._id : null;
+  }
+  if (productCode) {
+    const found = await Product.exists({ code: normalizeCode(productCode) });
+    return found ? found._id : null;
+  }
+  return null;
+}
+
+// ─── LISTAR EQUIVALÊNCIAS ────────────────────────────────────────────────────────
+// GET /api/cross-references?product=&brand=&type=&page=1&limit=50
+exports.listCrossReferences = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.product) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.product)) {
+        return res.status(400).json({ message: "ID de produto inválido." });
+      }
+      filter.product = req.query.product;
+    }
+    if (req.query.brand) filter.brandKey = normalizeText(req.query.brand);
+    if (req.query.type)  filter.type = String(req.query.type);
+
+    const page  = Math.max(1, parseInt(req.query.page,  10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const skip  = (page - 1) * limit;
+
+    const [crossReferences, total] = await Promise.all([
+      CrossReference.find(filter)
+        .populate("product", "name code imageUrl")
+        .sort({ brandKey: 1, normalizedCode: 1 })
+        .skip(skip)
+        .limit(limit),
+      CrossReference.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      crossReferences,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error("Erro em listCrossReferences:", error);
+    return res.status(500).json({ message: "Erro ao buscar equivalências." });
+  }
+};
+
+// ─── CRIAR EQUIVALÊNCIA ──────────────────────────────────────────────────────────
+// POST /api/cross-references   Body: { product | productCode, brand, code, type?, notes? }
+exports.createCrossReference = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const productId = await findProductId(req.body);
+    if (!productId) {
+      return res.status(404).json({ message: "Produto não encontrado." });
+    }
+
+    const { brand, code, type, notes } = req.body;
+    const crossReference = await CrossReference.create({ product: productId, brand, code, type, notes });
+    return res.status(201).json(crossReference);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "Esta equivalência já está cadastrada para o produto." });
+    }
+    console.error("Erro em createCrossReference:", error);
+    return res.status(500).json({ message: "Erro interno ao criar equivalência." });
+  }
+};
+
+// ─── ATUALIZAR EQUIVALÊNCIA ──────────────────────────────────────────────────────
+// PUT /api/cross-references/:id
+exports.updateCrossReference = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const crossReference = await CrossReference.findById(req.params.id);
+    if (!crossReference) {
+      return res.status(404).json({ message: "Equivalência não encontrada." });
+    }
+
+    const { brand, code, type, notes } = req.body;
+    if (brand !== undefined) crossReference.brand = brand;
+    if (code  !== undefined) crossReference.code = code;
+    if (type  !== undefined) crossReference.type = type;
+    if (notes !== undefined) crossReference.notes = notes;
+
+    await crossReference.save();
+    return res.status(200).json(crossReference);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "Esta equivalência já está cadastrada para o produto." });
+    }
+    console.error("Erro em updateCrossReference:", error);
+    return res.status(500).json({ message: "Erro ao atualizar equivalência." });
+  }
+};
+
+// ─── DELETAR EQUIVALÊNCIA ────────────────────────────────────────────────────────
+// DELETE /api/cross-references/:id
+exports.deleteCrossReference = async (req, res) => {
+  try {
+    const removed = await CrossReference.findByIdAndDelete(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ message: "Equivalência não encontrada." });
+    }
+    return res.status(200).json({ message: "Equivalência removida com sucesso." });
+  } catch (error) {
+    console.error("Erro em deleteCrossReference:", error);
+    return res.status(500).json({ message: "Erro ao deletar equivalência." });
+  }
+};
+
+// ─── IMPORTAÇÃO EM LOTE ──────────────────────────────────────────────────────────
+// POST /api/cross-references/bulk
+// Body: { items: [{ product | productCode, brand, code, type?, notes? }, ...] }
+// Linhas já existentes são ignoradas; linhas inválidas voltam em errors.
+exports.bulkImport = async (req, res) => {
+  const { items } = req.body;
+
+  if (!Array.isArray(items) || !items.length) {
+    return res.status(400).json({ message: "Envie uma lista de equivalências em items." });
+  }
+  if (items.length > BULK_IMPORT_MAX) {
+    return res.status(400).json({ message: `Máximo de ${BULK_IMPORT_MAX} linhas por importação.` });
+  }
+
+  try {
+    const productIdCache = new Map();
+    const report = { created: 0, skipped: 0, errors: [] };
+
+    for (const [index, item] of items.entries()) {
+      const row = index + 1;
+
+      if (!item || !item.brand || !item.code || !normalizeCode(item.code)) {
+        report.errors.push({ row, message: "brand e code são obrigatórios." });
+        continue;
+      }
+      if (item.type && !["competitor", "oem"].includes(item.type)) {
+        report.errors.push({ row, message: "type deve ser competitor ou oem." });
+        continue;
+      }
+
+      const cacheKey = `${item.product || ""}|${item.productCode || ""}`;
+      if (!productIdCache.has(cacheKey)) {
+        productIdCache.set(cacheKey, await findProductId(item));
+      }
+      const productId = productIdCache.get(cacheKey);
+      if (!productId) {
+        report.errors.push({ row, message: "Produto não encontrado." });
+        continue;
+      }
+
+      const result = await CrossReference.updateOne(
+        { product: productId, brandKey: normalizeText(item.brand), normalizedCode: normalizeCode(item.code) },
+        {
+          $setOnInsert: {
+            product: productId,
+            brand: String(item.brand).trim(),
+            brandKey: normalizeText(item.brand),
+            code: String(item.code).trim(),
+            normalizedCode: normalizeCode(item.code),
+            type: item.type || "competitor",
+            notes: item.notes ? String(item.notes).trim() : undefined
+          }
+        },
+        { upsert: true, timestamps: true }
+      );
+
+      if (result.upsertedCount) report.created++;
+      else report.skipped++;
+    }
+
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error("Erro em bulkImport:", error);
+    return res.status(500).json({ message: "Erro na importação de equivalências." });
+  }
+};
+
+// ─── BUSCA PÚBLICA POR CÓDIGO ────────────────────────────────────────────────────
+// GET /api/cross-references/lookup?code=W950
+// Aceita código de qualquer marca (ou o próprio código Total Filter) e devolve
+// os produtos equivalentes. Sem resultado exato, tenta pelo início do código.
+exports.lookup = async (req, res) => {
+  const code = normalizeCode(req.query.code);
+  if (code.length < 2) {
+    return res.status(400).json({ message: "Informe um código com pelo menos 2 caracteres." });
+  }
+
+  try {
+    let exact = true;
+    let refs = await CrossReference.find({ normalizedCode: code }).lean();
+    let ownProducts = await Product.find({ "search.codes": code }).select("_id").lean();
+
+    if (!refs.length && !ownProducts.length) {
+      exact = false;
+      const prefix = new RegExp(`^${escapeRegex(code)}`);
+      refs = await CrossReference.find({ normalizedCode: prefix }).limit(50).lean();
+      ownProducts = await Product.find({ "search.codes": prefix }).select("_id").limit(50).lean();
+    }
+
+    // Agrupa as equivalências encontradas por produto
+    const byProduct = new Map();
+    for (const id of ownProducts.map(p => String(p._id))) byProduct.set(id, []);
+    for (const ref of refs) {
+      const id = String(ref.product);
+      if (!byProduct.has(id)) byProduct.set(id, []);
+      byProduct.get(id).push({ brand: ref.brand, code: ref.code, type: ref.type });
+    }
+
+    const products = await Product.find({ _id: { $in: [...byProduct.keys()] } });
+    const matches = products.map(product => ({
+      product,
+      matchedBy: byProduct.get(String(product._id))
+    }));
+
+    return res.status(200).json({ code, exact, matches });
+  } catch (error) {
+    console.error("Erro em lookup:", error);
+    return res.status(500).json({ message: "Erro ao buscar equivalências." });
+  }
+};
@@ -1,5 +1,121 @@
-const { body, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
 const Post = require('../models/Post');
+const { uniqueSlug } = require('../utils/slugify');
+const { deleteUnreferencedFiles } = require('../utils/fileReferences');
+const { escapeRegex } = require('../utils/search');
+const { renderMarkdown, htmlToText } = require('../utils/markdown');
+
+const EXCERPT_LENGTH = 200;
+const AUTHOR_FIELDS = 'username';
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+// Listagens não trazem o corpo do post (vem no detalhe)
+const LIST_FIELDS = '-content -contentHtml';
+
+// Tags: aceita array ou "a, b, c"; minúsculas e sem repetição
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Origem da API nas URLs de imagem do HTML salvo. Vem da configuração (nunca do
+// Host da requisição); vazio = caminhos relativos. Mesma regra do migrate:posts.
+function imageBaseUrl() {
+  return process.env.API_BASE_URL || '';
+}
+
+// Resumo automático a partir do HTML renderizado, quando o autor não escreve um.
+// Como o contentHtml, é texto codificado para HTML (ver htmlToText).
+function buildExcerpt(contentHtml) {
+  const text = htmlToText(contentHtml);
+  if (text.length <= EXCERPT_LENGTH) return text;
+  // Corta na última palavra inteira, sem deixar entidade pela metade
+  return `${text.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '').replace(/&[#\w]*$/, '')}…`;
+}
+
+// Resumo escrito pelo autor passa pela mesma limpeza do automático
+function parseExcerpt(excerpt, contentHtml) {
+  return excerpt ? htmlToText(excerpt) : buildExcerpt(contentHtml);
+}
+
+function parseCoverImage(coverImage) {
+  if (!coverImage || !coverImage.url) return undefined;
+  return {
+    url: String(coverImage.url).trim(),
+    alt: coverImage.alt ? String(coverImage.alt).trim() : ''
+  };
+}
+
+function parsePagination(query) {
+  const page  = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Filtros comuns às listagens: ?tag= e ?q= (todas as palavras em título, resumo ou conteúdo)
+function listFilter(query) {
+  const conditions = [];
+
+  if (query.tag) {
+    conditions.push({ tags: String(query.tag).trim().toLowerCase() });
+  }
+
+  const words = String(query.q || '').trim().split(/\s+/).filter(Boolean);
+  for (const word of words) {
+    const pattern = new RegExp(escapeRegex(word), 'i');
+    conditions.push({ $or: [{ title: pattern }, { excerpt: pattern }, { content: pattern }] });
+  }
+
+  return conditions;
+}
+
+// Envelope de paginação usado pelas duas listagens
+async function paginate(filter, sort, { page, limit, skip }) {
+  const [posts, total] = await Promise.all([
+    Post.find(filter).select(LIST_FIELDS).sort(sort).skip(skip).limit(limit).populate('author', AUTHOR_FIELDS),
+    Post.countDocuments(filter)
+  ]);
+
+  return {
+    posts,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    limit
+  };
+}
+
+// Aplica uma transição de status. Retorna a mensagem de erro, ou null se válida.
+//   draft      → rascunho; publishAt é mantido apenas como data planejada
+//   scheduled  → exige publishAt no futuro
+//   published  → publishAt informado (passado) ou agora; mantém a data de quem já estava publicado
+function applyStatus(post, status, publishAt, now = new Date()) {
+  const date = publishAt ? new Date(publishAt) : null;
+
+  if (status === 'draft') {
+    post.status = 'draft';
+    if (date) post.publishAt = date;
+    return null;
+  }
+
+  if (status === 'scheduled') {
+    const when = date || post.publishAt;
+    if (!when || when <= now) return 'Para agendar, informe publishAt com uma data futura.';
+    post.status = 'scheduled';
+    post.publishAt = when;
+    return null;
+  }
+
+  if (status === 'published') {
+    if (date && date > now) return 'publishAt está no futuro: use o status scheduled.';
+    const keepDate = post.status === 'published' && post.publishAt && post.publishAt <= now;
+    post.status = 'published';
+    post.publishAt = date || (keepDate ? post.publishAt : now);
+    return null;
+  }
+
+  return `Status inválido. Use: ${Post.STATUSES.join(', ')}.`;
+}
 
 // 📌 Criar um novo post
 exports.createPost = async (req, res) => {
@@ -9,17 +125,31 @@ exports.createPost = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { title, content } = req.body;
+  const { title, content, excerpt, slug, coverImage, tags, status = 'draft', publishAt } = req.body;
 
   try {
+    const contentHtml = renderMarkdown(content, { baseUrl: imageBaseUrl() });
+
     // Criar novo post
     const newPost = new Post({
       title,
-      content
+      content,
+      contentHtml,
+      slug: await uniqueSlug(Post, slug || title),
+      excerpt: parseExcerpt(excerpt, contentHtml),
+      coverImage: parseCoverImage(coverImage),
+      tags: normalizeTags(tags),
+      author: req.user.id
     });
 
+    const statusError = applyStatus(newPost, status, publishAt);
+    if (statusError) {
+      return res.status(400).json({ error: statusError });
+    }
+
     // Salvar no banco de dados
     await newPost.save();
+    await newPost.populate('author', AUTHOR_FIELDS);
     res.status(201).json({ message: "Post criado com sucesso!", post: newPost });
   } catch (err) {
     console.error("Erro ao criar post:", err);
@@ -27,21 +157,86 @@ exports.createPost = async (req, res) => {
   }
 };
 
-// 📌 Listar todos os posts
+// 🌐 Listar posts publicados (site público)
+// GET /api/posts/public?page=1&limit=10&tag=&q=
+exports.getPublishedPosts = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const conditions = [Post.visibleFilter(), ...listFilter(req.query)];
+    const result = await paginate({ $and: conditions }, { publishAt: -1, _id: -1 }, parsePagination(req.query));
+    res.status(200).json(result);
+  } catch (err) {
+    console.error("Erro ao buscar posts publicados:", err);
+    res.status(500).json({ error: "Erro ao buscar posts!" });
+  }
+};
+
+// 📌 Listar posts do painel (todos os status) com contagem por status
+// GET /api/posts?page=1&limit=10&status=draft|scheduled|published&tag=&q=
 exports.getAllPosts = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const posts = await Post.find().sort({ date: -1 }); // Lista em ordem decrescente por data
-    res.status(200).json(posts);
+    await Post.publishDue();
+
+    const conditions = listFilter(req.query);
+    const searchFilter = conditions.length ? { $and: conditions } : {};
+    const filter = req.query.status
+      ? { $and: [...conditions, { status: req.query.status }] }
+      : searchFilter;
+
+    const [result, grouped] = await Promise.all([
+      paginate(filter, { updatedAt: -1, _id: -1 }, parsePagination(req.query)),
+      // Contagens respeitam busca/tag, mas não o filtro de status (para as abas do painel)
+      Post.aggregate([
+        { $match: searchFilter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = Object.fromEntries(Post.STATUSES.map(status => [status, 0]));
+    for (const g of grouped) {
+      if (g._id in counts) counts[g._id] = g.count;
+    }
+    counts.all = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+    res.status(200).json({ ...result, counts });
   } catch (err) {
     console.error("Erro ao buscar posts:", err);
     res.status(500).json({ error: "Erro ao buscar posts!" });
   }
 };
 
-// 📌 Obter um post pelo ID
+// 📌 Obter um post pelo ID (painel: qualquer status)
 exports.getPostById = async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
+    await Post.publishDue();
+    const post = await Post.findById(req.params.id).populate('author', AUTHOR_FIELDS);
+    if (!post) {
+      return res.status(404).json({ error: "Post não encontrado!" });
+    }
+    res.status(200).json(post);
+  } catch (err) {
+    console.error("Erro ao buscar post:", err);
+    res.status(500).json({ error: "Erro ao buscar o post!" });
+  }
+};
+
+// 📌 Obter um post publicado pelo slug (site público)
+exports.getPostBySlug = async (req, res) => {
+  try {
+    const post = await Post.findOne({
+      slug: String(req.params.slug).toLowerCase(),
+      ...Post.visibleFilter()
+    }).populate('author', AUTHOR_FIELDS);
+
     if (!post) {
       return res.status(404).json({ error: "Post não encontrado!" });
     }
@@ -60,26 +255,96 @@ exports.updatePost = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { title, content } = req.body;
+  const { title, content, excerpt, slug, coverImage, tags, status, publishAt } = req.body;
 
   try {
-    const updatedPost = await Post.findByIdAndUpdate(
-      req.params.id,
-      { title, content },
-      { new: true }
-    );
-
-    if (!updatedPost) {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
       return res.status(404).json({ error: "Post não encontrado!" });
     }
 
-    res.status(200).json({ message: "Post atualizado com sucesso!", post: updatedPost });
+    const previousCover = post.coverImage && post.coverImage.url;
+
+    post.title = title;
+    post.content = content;
+    post.contentHtml = renderMarkdown(content, { baseUrl: imageBaseUrl() });
+    if (slug !== undefined) post.slug = await uniqueSlug(Post, slug || title, post._id);
+    if (excerpt !== undefined) post.excerpt = parseExcerpt(excerpt, post.contentHtml);
+    if (coverImage !== undefined) post.coverImage = parseCoverImage(coverImage);
+    if (tags !== undefined) post.tags = normalizeTags(tags);
+
+    if (status !== undefined || publishAt !== undefined) {
+      const statusError = applyStatus(post, status || post.status, publishAt);
+      if (statusError) {
+        return res.status(400).json({ error: statusError });
+      }
+    }
+
+    await post.save();
+
+    // Capa trocada: remove a imagem antiga do GridFS, se nada mais a usa
+    const currentCover = post.coverImage && post.coverImage.url;
+    if (previousCover && previousCover !== currentCover) {
+      await deleteUnreferencedFiles([previousCover]);
+    }
+
+    await post.populate('author', AUTHOR_FIELDS);
+    res.status(200).json({ message: "Post atualizado com sucesso!", post });
   } catch (err) {
     console.error("Erro ao atualizar post:", err);
     res.status(500).json({ error: "Erro ao atualizar o post!" });
   }
 };
 
+// 📌 Pré-visualizar o HTML de um Markdown (sem salvar)
+exports.previewPost = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const contentHtml = renderMarkdown(req.body.content, { baseUrl: imageBaseUrl() });
+  res.status(200).json({ contentHtml, excerpt: buildExcerpt(contentHtml) });
+};
+
+// Handler das transições de status (publicar, agendar, voltar a rascunho)
+function transition(status, successMessage) {
+  return async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const post = await Post.findById(req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: "Post não encontrado!" });
+      }
+
+      const statusError = applyStatus(post, status, req.body.publishAt);
+      if (statusError) {
+        return res.status(400).json({ error: statusError });
+      }
+
+      await post.save();
+      await post.populate('author', AUTHOR_FIELDS);
+      res.status(200).json({ message: successMessage, post });
+    } catch (err) {
+      console.error(`Erro ao mudar status do post para ${status}:`, err);
+      res.status(500).json({ error: "Erro ao atualizar o status do post!" });
+    }
+  };
+}
+
+// 📌 Publicar agora (ou com publishAt passado)
+exports.publishPost = transition('published', "Post publicado com sucesso!");
+
+// 📌 Agendar publicação (publishAt futuro)
+exports.schedulePost = transition('scheduled', "Post agendado com sucesso!");
+
+// 📌 Despublicar / voltar para rascunho
+exports.unpublishPost = transition('draft', "Post movido para rascunho!");
+
 // 📌 Deletar um post
 exports.deletePost = async (req, res) => {
   try {
@@ -89,6 +354,10 @@ exports.deletePost = async (req, res) => {
       return res.status(404).json({ error: "Post não encontrado!" });
     }
 
+    if (deletedPost.coverImage && deletedPost.coverImage.url) {
+      await deleteUnreferencedFiles([deletedPost.coverImage.url]);
+    }
+
     res.status(200).json({ message: "Post deletado com sucesso!" });
   } catch (err) {
     console.error("Erro ao deletar post:", err);
@@ -1,14 +1,114 @@
 // controllers/productController.js
 
-const mongoose = require("mongoose");
 const { validationResult } = require("express-validator");
 const Product = require("../models/Product");
+const Category = require("../models/Category");
+const CrossReference = require("../models/CrossReference");
+const Application = require("../models/Application");
+const { normalizeCode, escapeRegex, tokenize, highlight } = require("../utils/search");
+const { parseSpreadsheet } = require("../utils/spreadsheet");
+const { importProducts } = require("../utils/productImport");
+const { streamCsv, streamXlsx } = require("../utils/catalogExport");
+const { renderCatalogPdf } = require("../utils/catalogPdf");
+const { deleteUnreferencedFiles } = require("../utils/fileReferences");
 
-// ─── Helper para extrair filename de uma URL de imagem ───────────────────────────
-function extractFilenameFromUrl(url) {
-  if (!url) return null;
-  const parts = url.split("/");
-  return parts[parts.length - 1];
+// ─── Helper: normaliza a galeria e os documentos enviados no corpo ─────────────
+function parseImages(images) {
+  return images.map(img => ({
+    url: String(img.url).trim(),
+    alt: img.alt ? String(img.alt).trim() : "",
+    isMain: img.isMain === true || img.isMain === "true"
+  }));
+}
+
+function parseDocuments(documents) {
+  return documents.map(doc => ({
+    url: String(doc.url).trim(),
+    title: doc.title ? String(doc.title).trim() : "",
+    type: doc.type || "datasheet",
+    filename: doc.filename,
+    contentType: doc.contentType,
+    size: doc.size
+  }));
+}
+
+// ─── Helper: confere se todas as categorias informadas existem ─────────────────
+// Retorna a lista de IDs sem duplicatas, ou null se alguma não existir
+async function resolveCategories(categories) {
+  const ids = [...new Set(categories.map(String))];
+  const found = await Category.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? ids : null;
+}
+
+// ─── Helpers: aplicações (veículos/máquinas) de um produto ──────────────────────
+function buildApplications(productId, applications) {
+  return applications.map(a => new Application({
+    product: productId,
+    vehicleType: a.vehicleType,
+    make: a.make,
+    model: a.model,
+    yearFrom: a.yearFrom || undefined,
+    yearTo: a.yearTo || undefined,
+    engine: a.engine,
+    position: a.position,
+    notes: a.notes
+  }));
+}
+
+// Valida as aplicações antes de qualquer gravação; devolve os erros (vazio = ok)
+async function applicationErrors(docs) {
+  const errors = [];
+  for (const [index, doc] of docs.entries()) {
+    try {
+      await doc.validate();
+    } catch (err) {
+      for (const e of Object.values(err.errors || {})) {
+        errors.push({ index, field: e.path, message: e.message });
+      }
+    }
+  }
+  return errors;
+}
+
+// Substitui as aplicações do produto. Se a inserção falhar, as anteriores são restauradas.
+async function replaceApplications(productId, docs) {
+  const previous = await Application.find({ product: productId }).lean();
+  await Application.deleteMany({ product: productId });
+  if (!docs.length) return [];
+
+  try {
+    return await Application.insertMany(docs);
+  } catch (error) {
+    await Application.deleteMany({ product: productId });
+    if (previous.length) await Application.collection.insertMany(previous);
+    throw error;
+  }
+}
+
+// ─── Helper: monta o filtro de listagem a partir da query ──────────────────────
+// ?category=<id ou slug> inclui as subcategorias.
+// ?isLaunch=true|false   ?hasPrice=true|false
+// Retorna null quando a categoria pedida não existe.
+async function buildProductFilter(query) {
+  const filter = {};
+
+  if (query.isLaunch === "true" || query.isLaunch === "false") {
+    filter.isLaunch = query.isLaunch === "true";
+  }
+
+  if (query.hasPrice === "true") {
+    filter.price = { $nin: ["", null] };
+  } else if (query.hasPrice === "false") {
+    filter.price = { $in: ["", null] };
+  }
+
+  if (query.category) {
+    const categoryIds = await Category.findSubtreeIds(query.category);
+    if (!categoryIds) return null;
+    filter.categories = { $in: categoryIds };
+  }
+
+  return filter;
 }
 
 // ─── CRIAR PRODUTO ───────────────────────────────────────────────────────────────
@@ -20,22 +120,61 @@ exports.createProduct = async (req, res) => {
   }
 
   try {
-    const { name, description, price, imageUrl, isNewRelease } = req.body;
+    const {
+      name, description, price, imageUrl, isNewRelease, categories, code, applications, images, documents
+    } = req.body;
 
-    if (typeof imageUrl !== "string" || !imageUrl.trim()) {
+    const hasGallery = Array.isArray(images) && images.length > 0;
+    if (!hasGallery && (typeof imageUrl !== "string" || !imageUrl.trim())) {
       return res.status(400).json({ message: "imageUrl inválida." });
     }
 
+    const categoryIds = categories ? await resolveCategories(categories) : [];
+    if (!categoryIds) {
+      return res.status(400).json({ message: "Uma ou mais categorias não existem." });
+    }
+
+    // Código só com pontuação ("--", " . ") vira vazio ao normalizar: recusado
+    const normalizedCode = code ? normalizeCode(code) : "";
+    if (code && !normalizedCode) {
+      return res.status(400).json({ message: "Código inválido: use letras e números." });
+    }
+
+    if (normalizedCode && await Product.exists({ code: normalizedCode })) {
+      return res.status(409).json({ message: "Já existe um produto com este código." });
+    }
+
     const newProduct = new Product({
       name: name.trim(),
+      code: normalizedCode || undefined,
       description: description.trim(),
       price: price ? String(price) : "",
-      imageUrl: imageUrl.trim(),
-      isLaunch: isNewRelease === true || isNewRelease === "true"
+      // Com galeria, imageUrl é derivado da imagem principal (pre('validate') do model)
+      imageUrl: hasGallery ? undefined : imageUrl.trim(),
+      images: hasGallery ? parseImages(images) : [],
+      documents: documents ? parseDocuments(documents) : [],
+      isLaunch: isNewRelease === true || isNewRelease === "true",
+      categories: categoryIds
     });
 
+    const applicationDocs = applications ? buildApplications(newProduct._id, applications) : [];
+    const invalidApplications = await applicationErrors(applicationDocs);
+    if (invalidApplications.length) {
+      return res.status(400).json({ message: "Aplicações inválidas.", errors: invalidApplications });
+    }
+
     await newProduct.save();
-    return res.status(201).json(newProduct);
+
+    // Sem as aplicações pedidas o produto não fica cadastrado pela metade
+    let savedApplications = [];
+    try {
+      savedApplications = await replaceApplications(newProduct._id, applicationDocs);
+    } catch (error) {
+      await Product.deleteOne({ _id: newProduct._id });
+      throw error;
+    }
+
+    return res.status(201).json({ ...newProduct.toJSON(), applications: savedApplications });
   } catch (error) {
     console.error("Erro em createProduct:", error);
     return res.status(500).json({ message: "Erro interno ao criar produto." });
@@ -44,11 +183,17 @@ exports.createProduct = async (req, res) => {
 
 // ─── LISTAR TODOS OS PRODUTOS (com fallback para chamadas sem paginação) ─────────
 // GET /api/products
+// Query opcional: ?category=<id ou slug> (inclui subcategorias), ?isLaunch=, ?hasPrice=
 exports.getAllProducts = async (req, res) => {
   try {
+    const filter = await buildProductFilter(req.query);
+    if (!filter) {
+      return res.status(404).json({ message: "Categoria não encontrada." });
+    }
+
     // Se não vier ?page na query, devolve array puro de todos os produtos
     if (req.query.page === undefined) {
-      const all = await Product.find().sort({ createdAt: -1 });
+      const all = await Product.find(filter).sort({ createdAt: -1 });
       return res.status(200).json(all);
     }
 
@@ -58,8 +203,8 @@ exports.getAllProducts = async (req, res) => {
     const skip  = (page - 1) * limit;
 
     const [products, total] = await Promise.all([
-      Product.find().sort({ createdAt: -1 }).skip(skip).limit(limit),
-      Product.countDocuments()
+      Product.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Product.countDocuments(filter)
     ]);
 
     const totalPages = Math.ceil(total / limit);
@@ -75,6 +220,105 @@ exports.getAllProducts = async (req, res) => {
   }
 };
 
+// ─── BUSCA DE PRODUTOS ───────────────────────────────────────────────────────────
+// GET /api/products/search
+// Query: ?q=<texto ou código>&category=&isLaunch=&hasPrice=
+//        &sort=relevance|newest|oldest|name_asc|name_desc&page=1&limit=20
+// Ignora acentos e caixa; aceita códigos parciais ou com separadores (uars-115).
+const SEARCH_SORTS = {
+  relevance: { score: -1, createdAt: -1 },
+  newest:    { createdAt: -1 },
+  oldest:    { createdAt: 1 },
+  name_asc:  { "search.name": 1 },
+  name_desc: { "search.name": -1 }
+};
+
+// Pontuação de um termo: código exato > início de código > nome > descrição
+function scoreExpression(token) {
+  const text = escapeRegex(token);
+  const code = normalizeCode(token);
+  const parts = [
+    { $cond: [{ $regexMatch: { input: { $ifNull: ["$search.name", ""] }, regex: text } }, 10, 0] },
+    { $cond: [{ $regexMatch: { input: { $ifNull: ["$search.description", ""] }, regex: text } }, 2, 0] }
+  ];
+
+  if (code) {
+    const codes = { $ifNull: ["$search.codes", []] };
+    parts.push(
+      { $cond: [{ $in: [code, codes] }, 100, 0] },
+      { $cond: [{
+        $anyElementTrue: [{
+          $map: { input: codes, as: "c", in: { $regexMatch: { input: "$$c", regex: `^${escapeRegex(code)}` } } }
+        }]
+      }, 50, 0] }
+    );
+  }
+  return { $add: parts };
+}
+
+exports.searchProducts = async (req, res) => {
+  try {
+    const filter = await buildProductFilter(req.query);
+    if (!filter) {
+      return res.status(404).json({ message: "Categoria não encontrada." });
+    }
+
+    const tokens = tokenize(req.query.q);
+
+    // Cada termo precisa aparecer no nome, na descrição ou em algum código
+    if (tokens.length) {
+      filter.$and = tokens.map(token => {
+        const or = [
+          { "search.name": { $regex: escapeRegex(token) } },
+          { "search.description": { $regex: escapeRegex(token) } }
+        ];
+        const code = normalizeCode(token);
+        if (code) or.push({ "search.codes": { $regex: escapeRegex(code) } });
+        return { $or: or };
+      });
+    }
+
+    const sortKey = SEARCH_SORTS[req.query.sort] ? req.query.sort : (tokens.length ? "relevance" : "newest");
+    const page  = Math.max(1, parseInt(req.query.page,  10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const skip  = (page - 1) * limit;
+
+    const [result] = await Product.aggregate([
+      { $match: filter },
+      { $addFields: { score: tokens.length ? { $add: tokens.map(scoreExpression) } : 0 } },
+      {
+        $facet: {
+          products: [
+            { $sort: SEARCH_SORTS[sortKey] },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { search: 0, __v: 0 } }
+          ],
+          total: [{ $count: "count" }]
+        }
+      }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+    const products = result.products.map(p => ({
+      ...p,
+      highlight: {
+        name: highlight(p.name, tokens),
+        description: highlight(p.description, tokens, { maxLength: 200 })
+      }
+    }));
+
+    return res.status(200).json({
+      products,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error("Erro em searchProducts:", error);
+    return res.status(500).json({ message: "Erro ao buscar produtos." });
+  }
+};
+
 // ─── LISTAR APENAS LANÇAMENTOS ────────────────────────────────────────────────────
 // GET /api/products/new-releases
 exports.getNewReleases = async (req, res) => {
@@ -91,11 +335,22 @@ exports.getNewReleases = async (req, res) => {
 // GET /api/products/:id
 exports.getProductById = async (req, res) => {
   try {
-    const produto = await Product.findById(req.params.id);
+    const produto = await Product.findById(req.params.id).populate("categories", "name slug");
     if (!produto) {
       return res.status(404).json({ message: "Produto não encontrado." });
     }
-    return res.status(200).json(produto);
+
+    // Equivalências com outras marcas / códigos originais e aplicações em veículos
+    const [equivalences, applications] = await Promise.all([
+      CrossReference.find({ product: produto._id })
+        .select("brand code type notes")
+        .sort({ type: 1, brandKey: 1, normalizedCode: 1 }),
+      Application.find({ product: produto._id })
+        .select("-makeKey -modelKey -engineKey")
+        .sort({ makeKey: 1, modelKey: 1, yearFrom: 1 })
+    ]);
+
+    return res.status(200).json({ ...produto.toJSON(), equivalences, applications });
   } catch (error) {
     console.error("Erro em getProductById:", error);
     return res.status(500).json({ message: "Erro ao buscar produto." });
@@ -111,34 +366,78 @@ exports.updateProduct = async (req, res) => {
   }
 
   try {
-    const { name, description, price, imageUrl, isNewRelease } = req.body;
+    const {
+      name, description, price, imageUrl, isNewRelease, categories, code, applications, images, documents
+    } = req.body;
     const produto = await Product.findById(req.params.id);
     if (!produto) {
       return res.status(404).json({ message: "Produto não encontrado." });
     }
+    // Cópia para desfazer a atualização se as aplicações não puderem ser gravadas
+    const previousState = produto.toObject();
 
-    // Se a URL mudou, apaga do GridFS
-    if (imageUrl && produto.imageUrl !== imageUrl) {
-      const oldFn = extractFilenameFromUrl(produto.imageUrl);
-      if (oldFn) {
-        const db = mongoose.connection.db;
-        const fileDoc = await db.collection("uploads.files").findOne({ filename: oldFn });
-        if (fileDoc) {
-          const bucket = new mongoose.mongo.GridFSBucket(db, { bucketName: "uploads" });
-          await bucket.delete(fileDoc._id);
-        }
-      }
+    const applicationDocs = applications ? buildApplications(produto._id, applications) : null;
+    const invalidApplications = applicationDocs ? await applicationErrors(applicationDocs) : [];
+    if (invalidApplications.length) {
+      return res.status(400).json({ message: "Aplicações inválidas.", errors: invalidApplications });
+    }
+
+    const categoryIds = categories ? await resolveCategories(categories) : null;
+    if (categories && !categoryIds) {
+      return res.status(400).json({ message: "Uma ou mais categorias não existem." });
+    }
+
+    const normalizedCode = code ? normalizeCode(code) : "";
+    if (code && !normalizedCode) {
+      return res.status(400).json({ message: "Código inválido: use letras e números." });
+    }
+
+    if (normalizedCode && await Product.exists({ code: normalizedCode, _id: { $ne: produto._id } })) {
+      return res.status(409).json({ message: "Já existe um produto com este código." });
     }
 
+    // Arquivos ligados ao produto antes da edição (para limpar o GridFS depois)
+    const previousFiles = produto.fileUrls();
+
     // Atualiza campos
     produto.name        = name.trim();
     produto.description = description.trim();
     produto.price       = price ? String(price) : "";
-    produto.imageUrl    = imageUrl.trim();
     produto.isLaunch    = isNewRelease === true || isNewRelease === "true";
+    if (categoryIds) produto.categories = categoryIds;
+    if (code !== undefined) produto.code = normalizedCode || undefined;
+
+    // Galeria: substituída quando enviada; senão imageUrl troca só a imagem principal
+    if (Array.isArray(images) && images.length) {
+      produto.images = parseImages(images);
+    } else if (imageUrl && imageUrl.trim() !== produto.imageUrl) {
+      const main = produto.images.find(img => img.isMain);
+      if (main) main.url = imageUrl.trim();
+      produto.imageUrl = imageUrl.trim();
+    }
+    if (Array.isArray(documents)) produto.documents = parseDocuments(documents);
 
     await produto.save();
-    return res.status(200).json(produto);
+
+    // Aplicações só são substituídas quando enviadas no corpo. Se falharem, o
+    // produto volta ao estado anterior (as aplicações antigas já são restauradas).
+    let productApplications;
+    if (applicationDocs) {
+      try {
+        productApplications = await replaceApplications(produto._id, applicationDocs);
+      } catch (error) {
+        await Product.collection.replaceOne({ _id: produto._id }, previousState);
+        throw error;
+      }
+    } else {
+      productApplications = await Application.find({ product: produto._id });
+    }
+
+    // Apaga do GridFS o que deixou de ser usado pelo produto (e por qualquer outro cadastro)
+    const currentFiles = new Set(produto.fileUrls());
+    await deleteUnreferencedFiles(previousFiles.filter(url => !currentFiles.has(url)));
+
+    return res.status(200).json({ ...produto.toJSON(), applications: productApplications });
   } catch (error) {
     console.error("Erro em updateProduct:", error);
     return res.status(500).json({ message: "Erro ao atualizar produto." });
@@ -154,21 +453,160 @@ exports.deleteProduct = async (req, res) => {
       return res.status(404).json({ message: "Produto não encontrado." });
     }
 
-    // Apaga imagem antiga do GridFS
-    const fn = extractFilenameFromUrl(produto.imageUrl);
-    if (fn) {
-      const db = mongoose.connection.db;
-      const fileDoc = await db.collection("uploads.files").findOne({ filename: fn });
-      if (fileDoc) {
-        const bucket = new mongoose.mongo.GridFSBucket(db, { bucketName: "uploads" });
-        await bucket.delete(fileDoc._id);
-      }
-    }
-
+    await CrossReference.deleteMany({ product: produto._id });
+    await Application.deleteMany({ product: produto._id });
     await Product.deleteOne({ _id: req.params.id });
+
+    // Apaga do GridFS as imagens e documentos que nenhum outro cadastro usa
+    await deleteUnreferencedFiles(produto.fileUrls());
     return res.status(200).json({ message: "Produto removido com sucesso." });
   } catch (error) {
     console.error("Erro em deleteProduct:", error);
     return res.status(500).json({ message: "Erro ao deletar produto." });
   }
 };
+
+// ─── IMPORTAR PLANILHA (CSV/XLSX) ─────────────────────────────────────────────────
+// POST /api/products/import?dryRun=true   (multipart, campo "file")
+// Campo opcional "mapping": JSON { "Cabeçalho da planilha": "campo" }
+// Faz upsert pelo código da peça. Com dryRun nada é gravado: só valida e conta.
+exports.importProducts = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: "Envie a planilha no campo file." });
+  }
+
+  let mapping = {};
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch {
+      return res.status(400).json({ message: "mapping deve ser um JSON válido." });
+    }
+    if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+      return res.status(400).json({ message: "mapping deve ser um objeto JSON { \"Cabeçalho da planilha\": \"campo\" }." });
+    }
+  }
+
+  const dryRun = req.query.dryRun === "true" || req.body.dryRun === "true";
+
+  let records;
+  try {
+    records = await parseSpreadsheet(req.file.buffer, req.file.originalname);
+  } catch (error) {
+    return res.status(400).json({ message: `Não foi possível ler a planilha: ${error.message}` });
+  }
+
+  if (!records.length) {
+    return res.status(400).json({ message: "A planilha não tem linhas de dados." });
+  }
+
+  try {
+    const report = await importProducts(records, {
+      dryRun,
+      mapping,
+      defaultImageUrl: `${req.protocol}://${req.get("host")}/imagens/placeholder.png`
+    });
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error("Erro em importProducts:", error);
+    return res.status(500).json({ message: "Erro ao importar produtos." });
+  }
+};
+
+// ─── EXPORTAR PRODUTOS (CSV/XLSX) ─────────────────────────────────────────────────
+// GET /api/products/export?format=csv|xlsx   (+ mesmos filtros da listagem)
+// As colunas seguem o formato aceito por /api/products/import.
+exports.exportProducts = async (req, res) => {
+  const format = (req.query.format || "csv").toLowerCase();
+  if (!["csv", "xlsx"].includes(format)) {
+    return res.status(400).json({ message: "Formato inválido. Use csv ou xlsx." });
+  }
+
+  try {
+    const filter = await buildProductFilter(req.query);
+    if (!filter) {
+      return res.status(404).json({ message: "Categoria não encontrada." });
+    }
+
+    const cursor = Product.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("categories", "slug")
+      .cursor();
+
+    const filename = `produtos-totalfilter-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      await streamCsv(cursor, res);
+    } else {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      await streamXlsx(cursor, res);
+    }
+  } catch (error) {
+    console.error("Erro em exportProducts:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: "Erro ao exportar produtos." });
+    }
+    res.destroy(error);
+  }
+};
+
+// ─── CATÁLOGO EM PDF ──────────────────────────────────────────────────────────────
+// GET /api/products/catalog.pdf?groupBy=launch|category   (+ mesmos filtros da listagem)
+exports.exportCatalogPdf = async (req, res) => {
+  const groupBy = req.query.groupBy === "category" ? "category" : "launch";
+
+  try {
+    const filter = await buildProductFilter(req.query);
+    if (!filter) {
+      return res.status(404).json({ message: "Categoria não encontrada." });
+    }
+
+    const products = await Product.find(filter).sort({ name: 1 }).lean();
+    let groups;
+
+    if (groupBy === "launch") {
+      groups = [
+        { title: "Lançamentos", products: products.filter(p => p.isLaunch) },
+        { title: "Produtos", products: products.filter(p => !p.isLaunch) }
+      ];
+    } else {
+      // Um grupo por categoria, com o caminho completo (ex.: "Agrícola › Filtros de Ar").
+      // Produto em várias categorias aparece em cada uma delas.
+      const categories = await Category.find().sort({ order: 1, name: 1 }).lean();
+      const byId = new Map(categories.map(c => [String(c._id), c]));
+      const label = c => [...c.ancestors.map(a => byId.get(String(a))).filter(Boolean), c]
+        .map(x => x.name)
+        .join(" › ");
+
+      const grouped = new Map(categories.map(c => [String(c._id), []]));
+      const uncategorized = [];
+      for (const product of products) {
+        const ids = (product.categories || []).map(String).filter(id => grouped.has(id));
+        if (!ids.length) uncategorized.push(product);
+        ids.forEach(id => grouped.get(id).push(product));
+      }
+
+      groups = categories
+        .map(c => ({ title: label(c), products: grouped.get(String(c._id)) }))
+        .sort((a, b) => a.title.localeCompare(b.title, "pt-BR"));
+      groups.push({ title: "Outros produtos", products: uncategorized });
+    }
+
+    const filename = `catalogo-totalfilter-${new Date().toISOString().slice(0, 10)}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+
+    await renderCatalogPdf(res, {
+      subtitle: groupBy === "launch" ? "Lançamentos e linha completa" : "Por categoria",
+      groups
+    });
+  } catch (error) {
+    console.error("Erro em exportCatalogPdf:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: "Erro ao gerar catálogo." });
+    }
+    res.destroy(error);
+  }
+};
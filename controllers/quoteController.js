@@ -0,0 +1,345 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const QuoteRequest = require('../models/QuoteRequest');
+const Product = require('../models/Product');
+const { normalizeCnpj } = require('../utils/cnpj');
+const { escapeRegex } = require('../utils/search');
+const { assessContactMessage, HARD_FAIL } = require('../utils/contactSpam');
+const { notifyNewQuoteRequest } = require('../utils/notifications');
+const { renderQuotePdf, streamQuoteCsv } = require('../utils/quoteExport');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const USER_FIELDS = 'username';
+
+const populateQuote = query => query
+  .populate('assignedTo', USER_FIELDS)
+  .populate('notes.author', USER_FIELDS)
+  .populate('statusHistory.by', USER_FIELDS);
+
+// Aceita o _id ou o número de referência (COT-2026-000042)
+function quoteLookup(idOrReference) {
+  return mongoose.Types.ObjectId.isValid(idOrReference)
+    ? { _id: idOrReference }
+    : { reference: String(idOrReference).toUpperCase() };
+}
+
+// Junta itens repetidos do mesmo produto e confere se todos existem.
+// Retorna os itens com código/nome copiados do produto, ou null se algum não existir.
+async function resolveItems(items) {
+  const merged = new Map();
+  for (const item of items) {
+    const id = String(item.productId);
+    const current = merged.get(id);
+    if (current) {
+      current.quantity += Number(item.quantity);
+      if (item.notes) current.notes = [current.notes, item.notes].filter(Boolean).join(' / ');
+    } else {
+      merged.set(id, { quantity: Number(item.quantity), notes: item.notes ? String(item.notes).trim() : undefined });
+    }
+  }
+
+  const products = await Product.find({ _id: { $in: [...merged.keys()] } }, { code: 1, name: 1 }).lean();
+  if (products.length !== merged.size) return null;
+
+  const byId = new Map(products.map(p => [String(p._id), p]));
+  return [...merged.entries()].map(([id, item]) => ({
+    product: id,
+    code: byId.get(id).code,
+    name: byId.get(id).name,
+    quantity: item.quantity,
+    notes: item.notes
+  }));
+}
+
+// ─── ENVIAR COTAÇÃO (público) ─────────────────────────────────────────────────────
+// POST /api/quotes
+// Body: { company: { name, cnpj, city?, state? }, contact: { name, email, phone? },
+//         items: [{ productId, quantity, notes? }], message?, formToken, website }
+exports.createQuote = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { company, contact, items, message } = req.body;
+
+  try {
+    const resolvedItems = await resolveItems(items);
+    if (!resolvedItems) {
+      return res.status(400).json({ error: "Um ou mais produtos não foram encontrados." });
+    }
+
+    // Mesmas camadas anti-spam do formulário de contato (honeypot, token, conteúdo)
+    const assessment = await assessContactMessage({
+      ...req.body,
+      nome: contact.name,
+      mensagem: message || ''
+    }, {
+      isTokenUsed: id => QuoteRequest.exists({ formTokenId: id })
+    });
+
+    const quote = new QuoteRequest({
+      reference: await QuoteRequest.nextReference(),
+      company: {
+        name: company.name,
+        cnpj: normalizeCnpj(company.cnpj),
+        city: company.city,
+        state: company.state
+      },
+      contact: {
+        name: contact.name,
+        email: contact.email,
+        phone: contact.phone
+      },
+      items: resolvedItems,
+      message,
+      ip: req.ip,
+      formTokenId: assessment.formTokenId || undefined,
+      spamScore: assessment.score,
+      spamReasons: assessment.reasons.length ? assessment.reasons : undefined
+    });
+
+    if (assessment.isSpam) {
+      quote.transitionTo('spam', null);
+    }
+
+    // Token gravado por outro envio simultâneo: esta cópia fica como spam, sem o jti
+    let isSpam = assessment.isSpam;
+    try {
+      await quote.save();
+    } catch (err) {
+      if (!(err.code === 11000 && err.keyPattern && err.keyPattern.formTokenId)) throw err;
+      isSpam = true;
+      quote.formTokenId = undefined;
+      quote.spamScore += HARD_FAIL;
+      quote.spamReasons = [...(quote.spamReasons || []), 'token-reutilizado'];
+      quote.transitionTo('spam', null);
+      await quote.save();
+    }
+
+    if (!isSpam) {
+      notifyNewQuoteRequest(quote).catch(err =>
+        console.error("Erro ao enfileirar notificações da cotação:", err)
+      );
+    }
+
+    res.status(201).json({
+      message: "Solicitação de cotação enviada com sucesso!",
+      reference: quote.reference
+    });
+  } catch (err) {
+    console.error("Erro ao criar cotação:", err);
+    res.status(500).json({ error: "Erro ao enviar a solicitação de cotação!" });
+  }
+};
+
+// ─── LISTAR COTAÇÕES ──────────────────────────────────────────────────────────────
+// GET /api/quotes?status=new,reviewing&q=&from=&to=&page=1&limit=20
+// Sem status, lista tudo menos spam. q busca referência, empresa, CNPJ, contato ou e-mail.
+exports.listQuotes = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const conditions = [];
+
+    if (req.query.from || req.query.to) {
+      const createdAt = {};
+      if (req.query.from) createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) createdAt.$lte = new Date(req.query.to);
+      conditions.push({ createdAt });
+    }
+
+    const words = String(req.query.q || '').trim().split(/\s+/).filter(Boolean);
+    for (const word of words) {
+      const pattern = new RegExp(escapeRegex(word), 'i');
+      const cnpj = normalizeCnpj(word);
+      conditions.push({
+        $or: [
+          { reference: pattern },
+          { 'company.name': pattern },
+          { 'contact.name': pattern },
+          { 'contact.email': pattern },
+          ...(cnpj ? [{ 'company.cnpj': new RegExp(escapeRegex(cnpj)) }] : [])
+        ]
+      });
+    }
+
+    const searchFilter = conditions.length ? { $and: conditions } : {};
+    const statuses = String(req.query.status || '').split(',').map(s => s.trim()).filter(Boolean);
+    const filter = {
+      $and: [
+        ...conditions,
+        statuses.length ? { status: { $in: statuses } } : { status: { $ne: 'spam' } }
+      ]
+    };
+
+    const page  = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [quotes, total, grouped] = await Promise.all([
+      QuoteRequest.find(filter)
+        .select('-statusHistory -notes')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('assignedTo', USER_FIELDS),
+      QuoteRequest.countDocuments(filter),
+      QuoteRequest.aggregate([
+        { $match: searchFilter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = Object.fromEntries(QuoteRequest.STATUSES.map(status => [status, 0]));
+    for (const g of grouped) {
+      if (g._id in counts) counts[g._id] = g.count;
+    }
+
+    res.status(200).json({
+      quotes,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      limit,
+      counts
+    });
+  } catch (err) {
+    console.error("Erro ao listar cotações:", err);
+    res.status(500).json({ error: "Erro ao buscar cotações!" });
+  }
+};
+
+// ─── HISTÓRICO DO CLIENTE ─────────────────────────────────────────────────────────
+// GET /api/quotes/by-email?email=cliente@empresa.com
+exports.listQuotesByEmail = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const email = String(req.query.email).trim().toLowerCase();
+    const quotes = await QuoteRequest.find({ 'contact.email': email })
+      .select('reference status company contact items.code items.name items.quantity createdAt statusChangedAt')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ email, total: quotes.length, quotes });
+  } catch (err) {
+    console.error("Erro ao buscar cotações do cliente:", err);
+    res.status(500).json({ error: "Erro ao buscar cotações do cliente!" });
+  }
+};
+
+// ─── DETALHE ──────────────────────────────────────────────────────────────────────
+// GET /api/quotes/:idOrReference
+exports.getQuote = async (req, res) => {
+  try {
+    const quote = await populateQuote(QuoteRequest.findOne(quoteLookup(req.params.idOrReference)));
+    if (!quote) {
+      return res.status(404).json({ error: "Cotação não encontrada!" });
+    }
+    res.status(200).json(quote);
+  } catch (err) {
+    console.error("Erro ao buscar cotação:", err);
+    res.status(500).json({ error: "Erro ao buscar cotação!" });
+  }
+};
+
+// ─── MUDAR STATUS (pipeline) ──────────────────────────────────────────────────────
+// PATCH /api/quotes/:idOrReference/status  { status, note? }
+exports.updateStatus = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { status, note } = req.body;
+
+  try {
+    const quote = await QuoteRequest.findOne(quoteLookup(req.params.idOrReference));
+    if (!quote) {
+      return res.status(404).json({ error: "Cotação não encontrada!" });
+    }
+
+    if (!quote.canTransitionTo(status)) {
+      return res.status(409).json({
+        error: `Não é possível passar de "${quote.status}" para "${status}".`,
+        allowed: QuoteRequest.TRANSITIONS[quote.status]
+      });
+    }
+
+    quote.transitionTo(status, req.user.id);
+    if (note) quote.notes.push({ text: note, author: req.user.id });
+    // Quem move a cotação adiante assume o atendimento, se ninguém assumiu
+    if (!quote.assignedTo && status === 'reviewing') quote.assignedTo = req.user.id;
+    await quote.save();
+
+    await populateQuote(quote);
+    res.status(200).json({ message: "Status atualizado com sucesso!", quote });
+  } catch (err) {
+    console.error("Erro ao atualizar status da cotação:", err);
+    res.status(500).json({ error: "Erro ao atualizar status da cotação!" });
+  }
+};
+
+// ─── NOTAS INTERNAS ───────────────────────────────────────────────────────────────
+// POST /api/quotes/:idOrReference/notes  { text }
+exports.addNote = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const quote = await QuoteRequest.findOne(quoteLookup(req.params.idOrReference));
+    if (!quote) {
+      return res.status(404).json({ error: "Cotação não encontrada!" });
+    }
+
+    quote.notes.push({ text: req.body.text, author: req.user.id });
+    await quote.save();
+
+    await populateQuote(quote);
+    res.status(201).json({ message: "Nota adicionada com sucesso!", quote });
+  } catch (err) {
+    console.error("Erro ao adicionar nota à cotação:", err);
+    res.status(500).json({ error: "Erro ao adicionar nota!" });
+  }
+};
+
+// ─── EXPORTAR (PDF/CSV) ───────────────────────────────────────────────────────────
+// GET /api/quotes/:idOrReference/export?format=pdf|csv
+exports.exportQuote = async (req, res) => {
+  const format = String(req.query.format || 'pdf').toLowerCase();
+  if (!['pdf', 'csv'].includes(format)) {
+    return res.status(400).json({ error: "Formato inválido. Use pdf ou csv." });
+  }
+
+  try {
+    const quote = await QuoteRequest.findOne(quoteLookup(req.params.idOrReference)).lean();
+    if (!quote) {
+      return res.status(404).json({ error: "Cotação não encontrada!" });
+    }
+
+    const filename = `cotacao-${quote.reference}.${format}`;
+    if (format === 'pdf') {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+      renderQuotePdf(res, quote);
+    } else {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      streamQuoteCsv(res, quote);
+    }
+  } catch (err) {
+    console.error("Erro ao exportar cotação:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "Erro ao exportar cotação!" });
+    }
+    res.destroy(err);
+  }
+};
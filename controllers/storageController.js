@@ -0,0 +1,60 @@
+// controllers/storageController.js
+
+const { validationResult } = require("express-validator");
+const { DEFAULT_GRACE_HOURS, storageSummary, collectGarbage } = require("../utils/storageGc");
+
+function graceHoursFrom(value) {
+  return value === undefined || value === "" ? DEFAULT_GRACE_HOURS : Number(value);
+}
+
+// ─── RESUMO DE ARMAZENAMENTO ─────────────────────────────────────────────────────
+// GET /api/storage/summary
+exports.getSummary = async (req, res) => {
+  try {
+    const summary = await storageSummary();
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error("Erro em getSummary:", error);
+    return res.status(500).json({ error: "Erro ao calcular uso de armazenamento." });
+  }
+};
+
+// ─── RELATÓRIO DE ARQUIVOS ÓRFÃOS (SIMULAÇÃO) ─────────────────────────────────────
+// GET /api/storage/orphans?graceHours=24
+exports.listOrphans = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const report = await collectGarbage({ dryRun: true, graceHours: graceHoursFrom(req.query.graceHours) });
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error("Erro em listOrphans:", error);
+    return res.status(500).json({ error: "Erro ao procurar arquivos órfãos." });
+  }
+};
+
+// ─── LIMPEZA DE ARQUIVOS ÓRFÃOS ──────────────────────────────────────────────────
+// POST /api/storage/gc  { graceHours?, dryRun? }
+// dryRun é true por padrão: apagar exige { "dryRun": false } explícito.
+exports.runGarbageCollection = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const dryRun = req.body.dryRun !== false;
+
+  try {
+    const report = await collectGarbage({ dryRun, graceHours: graceHoursFrom(req.body.graceHours) });
+    if (!dryRun) {
+      console.log(`🧹 GC de arquivos por ${req.user.username}: ${report.deleted} arquivo(s) removido(s).`);
+    }
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error("Erro em runGarbageCollection:", error);
+    return res.status(500).json({ error: "Erro ao limpar arquivos órfãos." });
+  }
+};
@@ -0,0 +1,271 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+const { createSession } = require('../utils/sessions');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+const {
+  lockedUntil,
+  registerFailure,
+  registerSuccess,
+  recordLoginAttempt,
+  sendLocked
+} = require('../utils/loginGuard');
+
+// Token de desafio emitido no 1º passo do login quando o 2FA está ativo
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const CHALLENGE_PURPOSE = '2fa-challenge';
+
+exports.issueChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+};
+
+// Gera novos códigos de recuperação; o usuário recebe os códigos, o banco só os hashes
+function issueRecoveryCodes(user) {
+  const codes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodeHashes = codes.map(c => hashToken(normalizeRecoveryCode(c)));
+  return codes;
+}
+
+// Valida um código TOTP (com proteção contra replay) ou um código de recuperação.
+// O consumo é gravado com um update condicional: duas requisições simultâneas com o
+// mesmo código não passam as duas. Mantém o documento em memória em sincronia.
+async function consumeSecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code, {
+      lastUsedStep: user.twoFactorLastUsedStep ?? null
+    });
+    if (step === null) return false;
+
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, twoFactorLastUsedStep: { $lt: step } },
+      { $set: { twoFactorLastUsedStep: step } },
+      { new: true }
+    );
+    if (!updated) return false;
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, twoFactorRecoveryCodeHashes: hash },
+      { $pull: { twoFactorRecoveryCodeHashes: hash } },
+      { new: true }
+    );
+    if (!updated) return false;
+    user.twoFactorRecoveryCodeHashes = updated.twoFactorRecoveryCodeHashes;
+    return true;
+  }
+
+  return false;
+}
+
+// ======================================
+// ✅ Iniciar Cadastro do 2FA
+// ======================================
+// POST /api/auth/2fa/setup   Body: { password }
+// Exige a senha: só o access token não basta para cadastrar outro autenticador.
+exports.setup = async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ error: "Informe a senha atual." });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ error: "Senha inválida." });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({ error: "A autenticação em dois fatores já está ativa." });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.username)
+    });
+  } catch (error) {
+    console.error("Erro ao iniciar 2FA:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
+
+// ======================================
+// ✅ Confirmar Cadastro do 2FA
+// ======================================
+// POST /api/auth/2fa/confirm   Body: { code }
+exports.confirm = async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: "Informe o código do aplicativo autenticador." });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ error: "Nenhum cadastro de 2FA pendente. Chame /2fa/setup primeiro." });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(401).json({ error: "Código inválido." });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.status(200).json({
+      message: "Autenticação em dois fatores ativada.",
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error("Erro ao confirmar 2FA:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
+
+// ======================================
+// ✅ Gerar Novos Códigos de Recuperação
+// ======================================
+// POST /api/auth/2fa/recovery-codes   Body: { code }
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ error: "A autenticação em dois fatores não está ativa." });
+    }
+
+    if (!(await consumeSecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({ error: "Código inválido." });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    console.error("Erro ao gerar códigos de recuperação:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
+
+// ======================================
+// ✅ Desativar 2FA
+// ======================================
+// POST /api/auth/2fa/disable   Body: { password, code | recoveryCode }
+exports.disable = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: "Informe a senha e um código de verificação." });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ error: "A autenticação em dois fatores não está ativa." });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ error: "Senha inválida." });
+    }
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ error: "Código inválido." });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodeHashes = undefined;
+    await user.save();
+
+    res.status(200).json({ message: "Autenticação em dois fatores desativada." });
+  } catch (error) {
+    console.error("Erro ao desativar 2FA:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
+
+// ======================================
+// ✅ 2º Passo do Login
+// ======================================
+// POST /api/auth/2fa/verify   Body: { challengeToken, code | recoveryCode }
+exports.verifyLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: "Informe o desafio e o código de verificação." });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: "Desafio inválido ou expirado. Faça login novamente." });
+  }
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    return res.status(401).json({ error: "Desafio inválido ou expirado. Faça login novamente." });
+  }
+
+  try {
+    const user = await User.findById(decoded.id);
+    if (!user || user.disabled || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: "Desafio inválido ou expirado. Faça login novamente." });
+    }
+
+    const blockedUntil = lockedUntil(user);
+    if (blockedUntil) {
+      await recordLoginAttempt(req, { user, username: user.username, outcome: 'locked' });
+      return sendLocked(res, blockedUntil);
+    }
+
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      const lockedNow = await registerFailure(user);
+      await recordLoginAttempt(req, { user, username: user.username, outcome: '2fa-failed' });
+      if (lockedNow) return sendLocked(res, lockedNow);
+      return res.status(401).json({ error: "Código inválido." });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    await recordLoginAttempt(req, { user, username: user.username, outcome: 'success' });
+    await registerSuccess(user);
+
+    res.status(200).json({
+      message: "Login realizado com sucesso.",
+      token,
+      refreshToken,
+      role: user.role,
+      recoveryCodesRemaining: (user.twoFactorRecoveryCodeHashes || []).length
+    });
+  } catch (error) {
+    console.error("Erro na verificação 2FA:", error);
+    res.status(500).json({ error: "Erro interno do servidor." });
+  }
+};
@@ -0,0 +1,280 @@
+// controllers/userController.js
+
+const { validationResult } = require("express-validator");
+const User = require("../models/User");
+const LoginAttempt = require("../models/LoginAttempt");
+const { checkPasswordPolicy } = require("../utils/password");
+const { revokeAllSessions } = require("../utils/sessions");
+const { unlock } = require("../utils/loginGuard");
+
+// ─── Helper: impede que o sistema fique sem nenhum admin ativo ─────────────────
+async function isLastActiveAdmin(user) {
+  if (user.role !== "admin" || user.disabled) return false;
+  const activeAdmins = await User.countDocuments({ role: "admin", disabled: { $ne: true } });
+  return activeAdmins <= 1;
+}
+
+// ─── LISTAR USUÁRIOS ─────────────────────────────────────────────────────────────
+// GET /api/users
+exports.listUsers = async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    return res.status(200).json(users);
+  } catch (error) {
+    console.error("Erro em listUsers:", error);
+    return res.status(500).json({ error: "Erro ao buscar usuários." });
+  }
+};
+
+// ─── CRIAR USUÁRIO ───────────────────────────────────────────────────────────────
+// POST /api/users
+exports.createUser = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { username, password, role, email } = req.body;
+
+  const passwordProblems = checkPasswordPolicy(password);
+  if (passwordProblems.length) {
+    return res.status(400).json({ error: "Senha fraca.", details: passwordProblems });
+  }
+
+  try {
+    const existing = await User.findOne({ username });
+    if (existing) {
+      return res.status(409).json({ error: "Nome de usuário já está em uso." });
+    }
+
+    if (email && await User.exists({ email })) {
+      return res.status(409).json({ error: "E-mail já está em uso." });
+    }
+
+    const user = new User({ username, password, role, email: email || undefined });
+    await user.save();
+    return res.status(201).json(user);
+  } catch (error) {
+    console.error("Erro em createUser:", error);
+    return res.status(500).json({ error: "Erro ao criar usuário." });
+  }
+};
+
+// ─── ALTERAR PAPEL ───────────────────────────────────────────────────────────────
+// PUT /api/users/:id/role
+exports.updateRole = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    const { role } = req.body;
+    if (role !== "admin" && await isLastActiveAdmin(user)) {
+      return res.status(409).json({ error: "Não é possível rebaixar o último administrador ativo." });
+    }
+
+    if (user.role !== role) {
+      user.role = role;
+      await user.save();
+      // O papel vai dentro do JWT: força novo login para aplicar a mudança
+      await revokeAllSessions(user._id, "role-changed");
+    }
+
+    return res.status(200).json(user);
+  } catch (error) {
+    console.error("Erro em updateRole:", error);
+    return res.status(500).json({ error: "Erro ao alterar papel do usuário." });
+  }
+};
+
+// ─── ALTERAR E-MAIL (usado na recuperação de senha) ──────────────────────────────
+// PUT /api/users/:id/email   Body: { email }
+exports.updateEmail = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    const { email } = req.body;
+    if (await User.exists({ email, _id: { $ne: user._id } })) {
+      return res.status(409).json({ error: "E-mail já está em uso." });
+    }
+
+    user.email = email;
+    await user.save();
+    return res.status(200).json(user);
+  } catch (error) {
+    console.error("Erro em updateEmail:", error);
+    return res.status(500).json({ error: "Erro ao alterar e-mail do usuário." });
+  }
+};
+
+// ─── ATIVAR / DESATIVAR ──────────────────────────────────────────────────────────
+// PUT /api/users/:id/status   Body: { disabled: true|false }
+exports.updateStatus = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    const { disabled } = req.body;
+    if (disabled && await isLastActiveAdmin(user)) {
+      return res.status(409).json({ error: "Não é possível desativar o último administrador ativo." });
+    }
+
+    user.disabled = disabled;
+    await user.save();
+    if (disabled) await revokeAllSessions(user._id, "user-disabled");
+
+    return res.status(200).json(user);
+  } catch (error) {
+    console.error("Erro em updateStatus:", error);
+    return res.status(500).json({ error: "Erro ao alterar status do usuário." });
+  }
+};
+
+// ─── ENCERRAR SESSÕES DE UM USUÁRIO ──────────────────────────────────────────────
+// POST /api/users/:id/logout-all
+exports.revokeSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    const revoked = await revokeAllSessions(user._id, "revoked-by-admin");
+    return res.status(200).json({ message: "Sessões encerradas.", revoked });
+  } catch (error) {
+    console.error("Erro em revokeSessions:", error);
+    return res.status(500).json({ error: "Erro ao encerrar sessões do usuário." });
+  }
+};
+
+// ─── DESBLOQUEAR CONTA ───────────────────────────────────────────────────────────
+// POST /api/users/:id/unlock
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    await unlock(user._id);
+    return res.status(200).json({ message: "Conta desbloqueada com sucesso." });
+  } catch (error) {
+    console.error("Erro em unlockUser:", error);
+    return res.status(500).json({ error: "Erro ao desbloquear usuário." });
+  }
+};
+
+// ─── HISTÓRICO DE LOGIN ──────────────────────────────────────────────────────────
+// GET /api/users/login-history
+// GET /api/users/:id/login-history
+// Query: ?username=&outcome=&suspicious=true&from=&to=&page=1&limit=50
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.params.id) filter.user = req.params.id;
+    if (req.query.username) filter.username = String(req.query.username);
+    if (req.query.outcome) filter.outcome = String(req.query.outcome);
+    if (req.query.suspicious !== undefined) filter.suspicious = req.query.suspicious === "true";
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to   = req.query.to   ? new Date(req.query.to)   : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ error: "Datas inválidas em from/to." });
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to)   filter.createdAt.$lte = to;
+    }
+
+    const page  = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const skip  = (page - 1) * limit;
+
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      LoginAttempt.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      attempts,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error("Erro em getLoginHistory:", error);
+    return res.status(500).json({ error: "Erro ao buscar histórico de login." });
+  }
+};
+
+// ─── RESETAR 2FA (usuário perdeu o autenticador e os códigos) ────────────────────
+// DELETE /api/users/:id/2fa
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodeHashes = undefined;
+    await user.save();
+    await revokeAllSessions(user._id, "2fa-reset");
+
+    return res.status(200).json({ message: "Autenticação em dois fatores removida." });
+  } catch (error) {
+    console.error("Erro em resetTwoFactor:", error);
+    return res.status(500).json({ error: "Erro ao remover 2FA do usuário." });
+  }
+};
+
+// ─── EXCLUIR USUÁRIO ─────────────────────────────────────────────────────────────
+// DELETE /api/users/:id
+exports.deleteUser = async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(409).json({ error: "Você não pode excluir o próprio usuário." });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({ error: "Não é possível excluir o último administrador ativo." });
+    }
+
+    await revokeAllSessions(user._id, "user-deleted");
+    await User.deleteOne({ _id: user._id });
+    return res.status(200).json({ message: "Usuário removido com sucesso." });
+  } catch (error) {
+    console.error("Erro em deleteUser:", error);
+    return res.status(500).json({ error: "Erro ao excluir usuário." });
+  }
+};
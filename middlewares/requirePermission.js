@@ -0,0 +1,19 @@
+const { hasPermission } = require('../config/roles');
+
+// ✅ Middleware de autorização por permissão (usar sempre depois do verifyToken)
+// Exemplo: router.post('/', verifyToken, requirePermission('products:write'), ...)
+module.exports = function requirePermission(permission) {
+  return function (req, res, next) {
+    const role = req.user && req.user.role;
+
+    if (!hasPermission(role, permission)) {
+      return res.status(403).json({
+        error: "Acesso negado! Permissão insuficiente.",
+        code: "FORBIDDEN",
+        permission
+      });
+    }
+
+    next();
+  };
+};
@@ -1,7 +1,8 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../utils/sessions');
 
 // ✅ Middleware para verificar o token JWT
-module.exports = function verifyToken(req, res, next) {
+module.exports = async function verifyToken(req, res, next) {
   // Obter o token do cabeçalho Authorization
   const authHeader = req.headers['authorization'];
 
@@ -17,13 +18,25 @@ module.exports = function verifyToken(req, res, next) {
     return res.status(403).json({ error: "Token inválido ou mal formatado!" });
   }
 
+  let decoded;
   try {
     // ✅ Verificar e decodificar o token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Adiciona os dados do usuário à requisição
-    next(); // Prossegue para a próxima função
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     console.error("Erro ao verificar token:", err);
     return res.status(401).json({ error: "Token inválido ou expirado!" });
   }
+
+  try {
+    // ✅ A sessão de origem precisa continuar ativa (logout/revogação)
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: "Sessão encerrada. Faça login novamente." });
+    }
+  } catch (err) {
+    console.error("Erro ao verificar sessão:", err);
+    return res.status(500).json({ error: "Erro interno do servidor." });
+  }
+
+  req.user = decoded; // Adiciona os dados do usuário à requisição
+  next(); // Prossegue para a próxima função
 };
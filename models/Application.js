@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { normalizeText } = require('../utils/search');
+
+const VEHICLE_TYPES = ['agricultural', 'automotive', 'truck', 'bus', 'heavy-equipment', 'stationary', 'other'];
+const FILTER_POSITIONS = ['oil', 'air', 'fuel', 'hydraulic', 'cabin', 'transmission', 'coolant', 'other'];
+
+// Aplicação de um filtro: em qual veículo/máquina (tipo, marca, modelo, anos, motor)
+// e em qual posição (óleo, ar, combustível, hidráulico...) o produto é usado.
+const ApplicationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  vehicleType: {
+    type: String,
+    enum: VEHICLE_TYPES,
+    default: 'other'
+  },
+  make: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  model: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  yearFrom: Number,
+  // Sem yearTo = ainda em produção
+  yearTo: Number,
+  engine: {
+    type: String,
+    trim: true
+  },
+  position: {
+    type: String,
+    enum: FILTER_POSITIONS,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Chaves normalizadas (sem acento / minúsculas) para agrupar e filtrar
+  makeKey: String,
+  modelKey: String,
+  engineKey: String
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+ApplicationSchema.index({ vehicleType: 1, makeKey: 1, modelKey: 1 });
+
+ApplicationSchema.pre('validate', function (next) {
+  this.makeKey = normalizeText(this.make);
+  this.modelKey = normalizeText(this.model);
+  this.engineKey = this.engine ? normalizeText(this.engine) : undefined;
+  next();
+});
+
+ApplicationSchema.statics.VEHICLE_TYPES = VEHICLE_TYPES;
+ApplicationSchema.statics.FILTER_POSITIONS = FILTER_POSITIONS;
+
+module.exports = mongoose.model('Application', ApplicationSchema);
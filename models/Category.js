@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Categoria do catálogo (ex.: Agrícola > Filtros de Ar).
+// ancestors guarda o caminho completo até a raiz para buscar subárvores com um único índice.
+const CategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+    index: true
+  },
+  ancestors: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    default: [],
+    index: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+CategorySchema.index({ parent: 1, order: 1 });
+
+// Resolve uma categoria (por ID ou slug) e devolve o ID dela e de todas as descendentes.
+// Retorna null se a categoria não existir.
+CategorySchema.statics.findSubtreeIds = async function (idOrSlug) {
+  const value = String(idOrSlug);
+  const filter = mongoose.Types.ObjectId.isValid(value) ? { _id: value } : { slug: value.toLowerCase() };
+
+  const root = await this.findOne(filter).select('_id').lean();
+  if (!root) return null;
+
+  const descendants = await this.find({ ancestors: root._id }).select('_id').lean();
+  return [root._id, ...descendants.map(d => d._id)];
+};
+
+module.exports = mongoose.model('Category', CategorySchema);
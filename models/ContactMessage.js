@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+// Fluxo de triagem das mensagens
+const CONTACT_STATUSES = ['new', 'read', 'in_progress', 'replied', 'archived', 'spam'];
+
+const NoteSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const StatusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 // Definição do esquema de mensagens de contato
 const ContactMessageSchema = new mongoose.Schema({
   nome: {
@@ -19,8 +35,80 @@ const ContactMessageSchema = new mongoose.Schema({
   },
   date: {
     type: Date,
-    default: Date.now
+    default: Date.now,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: CONTACT_STATUSES,
+    default: 'new',
+    index: true
+  },
+  // Histórico de transições (quem mudou e quando)
+  statusHistory: {
+    type: [StatusChangeSchema],
+    default: []
+  },
+  statusChangedAt: {
+    type: Date
+  },
+  // Notas internas da equipe (nunca enviadas ao cliente)
+  notes: {
+    type: [NoteSchema],
+    default: []
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // Origem e avaliação anti-spam (ver utils/contactSpam.js)
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  contentHash: {
+    type: String,
+    index: true
+  },
+  // jti do token do formulário: cada token vale para um único envio. O índice único
+  // barra também dois envios simultâneos com o mesmo token.
+  formTokenId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  spamReasons: {
+    type: [String],
+    default: undefined
   }
 });
 
+ContactMessageSchema.statics.STATUSES = CONTACT_STATUSES;
+
+// Filtro por status. Mensagens anteriores à triagem não têm o campo e contam como "new".
+ContactMessageSchema.statics.statusFilter = function (statuses) {
+  const list = [].concat(statuses);
+  return { status: { $in: list.includes('new') ? [...list, null] : list } };
+};
+
+// Muda o status registrando a transição. Retorna false se já estava nesse status.
+ContactMessageSchema.methods.transitionTo = function (status, userId) {
+  const current = this.status || 'new';
+  if (current === status) return false;
+
+  const now = new Date();
+  this.statusHistory.push({ from: current, to: status, by: userId, at: now });
+  this.status = status;
+  this.statusChangedAt = now;
+  return true;
+};
+
 module.exports = mongoose.model('ContactMessage', ContactMessageSchema);
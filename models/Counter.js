@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Sequências atômicas (ex.: número de referência das cotações)
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 }
+}, {
+  versionKey: false
+});
+
+// Próximo valor da sequência `name` (cria a sequência se não existir)
+CounterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
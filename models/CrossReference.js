@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { normalizeText, normalizeCode } = require('../utils/search');
+
+// Equivalência entre um produto Total Filter e o código de outra marca
+// (concorrente como Mann, Tecfil, Fram, ou código original do fabricante - OEM)
+const CrossReferenceSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  brand: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['competitor', 'oem'],
+    default: 'competitor'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Preenchidos no pre('validate') para busca e unicidade
+  brandKey: {
+    type: String
+  },
+  normalizedCode: {
+    type: String,
+    index: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Mesmo código da mesma marca não se repete para o mesmo produto
+CrossReferenceSchema.index({ product: 1, brandKey: 1, normalizedCode: 1 }, { unique: true });
+
+CrossReferenceSchema.pre('validate', function (next) {
+  this.brandKey = normalizeText(this.brand);
+  this.normalizedCode = normalizeCode(this.code);
+  next();
+});
+
+module.exports = mongoose.model('CrossReference', CrossReferenceSchema);
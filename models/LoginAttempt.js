@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Histórico de tentativas de login (sucesso ou falha)
+const LoginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  ip: String,
+  userAgent: String,
+  outcome: {
+    type: String,
+    required: true,
+    enum: [
+      'success',
+      'invalid-password',
+      'unknown-user',
+      'locked',
+      'disabled',
+      '2fa-challenge',
+      '2fa-failed'
+    ]
+  },
+  // Login bem-sucedido fora do padrão do usuário (IP/navegador novo, falhas recentes)
+  suspicious: {
+    type: Boolean,
+    default: false
+  },
+  reasons: {
+    type: [String],
+    default: undefined
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+LoginAttemptSchema.index({ createdAt: -1 });
+// Mantém o histórico por 180 dias
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Fila persistente de notificações (e-mail, webhook).
+// Processada pelo worker de utils/notificationQueue.js, com novas tentativas.
+const NotificationJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'done', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Trava do worker: se o processo cair no meio do envio, o job volta após esse prazo
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+NotificationJobSchema.index({ status: 1, nextAttemptAt: 1 });
+// Jobs concluídos somem depois de 30 dias
+NotificationJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('NotificationJob', NotificationJobSchema);
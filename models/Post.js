@@ -1,19 +1,93 @@
 const mongoose = require('mongoose');
 
+const POST_STATUSES = ['draft', 'scheduled', 'published'];
+
 // Definição do esquema de posts
 const PostSchema = new mongoose.Schema({
   title: {
     type: String,
     required: true
   },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Resumo em texto sem tags, codificado para HTML (&lt; &amp; …), como o contentHtml
+  excerpt: {
+    type: String,
+    trim: true
+  },
+  // Fonte em Markdown, como o editor escreveu
   content: {
     type: String,
     required: true
   },
+  // HTML renderizado e sanitizado no servidor (ver utils/markdown.js)
+  contentHtml: {
+    type: String,
+    default: ''
+  },
+  // Imagem de capa enviada via /api/upload (URL /api/files/...)
+  coverImage: {
+    url: { type: String, trim: true },
+    alt: { type: String, trim: true }
+  },
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: POST_STATUSES,
+    default: 'draft',
+    index: true
+  },
+  // Data de publicação: futura para posts agendados, efetiva para publicados
+  publishAt: {
+    type: Date,
+    index: true
+  },
   date: {
     type: Date,
     default: Date.now
   }
+}, {
+  timestamps: true
 });
 
+PostSchema.statics.STATUSES = POST_STATUSES;
+
+// Filtro dos posts visíveis no site: publicados e agendados cuja hora já chegou
+PostSchema.statics.visibleFilter = function (now = new Date()) {
+  return {
+    $or: [
+      { status: 'published', publishAt: { $lte: now } },
+      { status: 'scheduled', publishAt: { $lte: now } }
+    ]
+  };
+};
+
+// Promove para "published" os agendados cuja data já passou. Retorna quantos mudaram.
+PostSchema.statics.publishDue = async function (now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    { $set: { status: 'published' } }
+  );
+  return result.modifiedCount;
+};
+
+// true se o post está no ar
+PostSchema.methods.isVisible = function (now = new Date()) {
+  return ['published', 'scheduled'].includes(this.status) &&
+    Boolean(this.publishAt) && this.publishAt <= now;
+};
+
 module.exports = mongoose.model('Post', PostSchema);
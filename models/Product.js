@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+const { normalizeText, normalizeCode, extractCodes } = require('../utils/search');
+
+// Imagem da galeria do produto (a ordem do array é a ordem de exibição)
+const imageSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  alt: { type: String, trim: true, default: "" },
+  isMain: { type: Boolean, default: false }
+});
+
+// Documento anexo (ficha técnica, guia de instalação...) salvo no GridFS
+const documentSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  title: { type: String, trim: true, default: "" },
+  type: {
+    type: String,
+    enum: ['datasheet', 'installation-guide', 'other'],
+    default: 'datasheet'
+  },
+  filename: String,
+  contentType: String,
+  size: Number
+});
 
 // Definindo o Schema do Produto, agora com o campo isLaunch
 const productSchema = new mongoose.Schema({
@@ -6,6 +28,12 @@ const productSchema = new mongoose.Schema({
     type: String, 
     required: true 
   },
+  // Código da peça Total Filter (ex.: UARS11510P)
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   description: { 
     type: String, 
     required: true 
@@ -14,18 +42,93 @@ const productSchema = new mongoose.Schema({
     type: String, 
     default: ""  // mantém a possibilidade de string vazia
   },
+  // Imagem principal (espelha images[isMain]; mantida para o front-end atual)
   imageUrl: { 
     type: String, 
     required: true 
   },
+  images: {
+    type: [imageSchema],
+    default: []
+  },
+  documents: {
+    type: [documentSchema],
+    default: []
+  },
   // ─── NOVO CAMPO: indica se este produto deve aparecer em “Lançamentos” ───
   isLaunch: {
     type: Boolean,
     default: false
+  },
+  // Categorias do catálogo (um produto pode estar em várias)
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    index: true
+  }],
+  // Campos normalizados (sem acentos / códigos sem separadores) usados pela busca.
+  // Preenchidos automaticamente no pre('validate'); não são expostos na API.
+  search: {
+    name: String,
+    description: String,
+    codes: { type: [String], index: true }
   }
 },
 {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.search;
+      return ret;
+    }
+  }
+});
+
+productSchema.index({ code: 1 }, { unique: true, sparse: true });
+
+// Recalcula os campos de busca a partir do nome, descrição e código
+productSchema.methods.refreshSearchFields = function () {
+  const codes = new Set(extractCodes(this.name));
+  if (this.code) codes.add(normalizeCode(this.code));
+
+  this.search = {
+    name: normalizeText(this.name),
+    description: normalizeText(this.description),
+    codes: [...codes]
+  };
+};
+
+// Mantém exatamente uma imagem principal na galeria e imageUrl sincronizado com ela
+productSchema.methods.syncMainImage = function () {
+  if (!this.images.length && this.imageUrl) {
+    this.images = [{ url: this.imageUrl, alt: this.name || "", isMain: true }];
+  }
+  if (!this.images.length) return;
+
+  let main = this.images.findIndex(img => img.isMain);
+  if (main === -1) main = 0;
+  this.images.forEach((img, idx) => { img.isMain = idx === main; });
+
+  if (this.imageUrl !== this.images[main].url) this.imageUrl = this.images[main].url;
+};
+
+// Todas as URLs de arquivos ligados ao produto (imagens e documentos)
+productSchema.methods.fileUrls = function () {
+  return [...new Set([
+    this.imageUrl,
+    ...this.images.map(img => img.url),
+    ...this.documents.map(d => d.url)
+  ].filter(Boolean))];
+};
+
+productSchema.pre('validate', function (next) {
+  this.syncMainImage();
+
+  if (this.isNew || this.isModified('name') || this.isModified('description') ||
+      this.isModified('code') || !this.search || !this.search.name) {
+    this.refreshSearchFields();
+  }
+  next();
 });
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Pipeline das cotações e transições permitidas a partir de cada status
+const QUOTE_TRANSITIONS = {
+  new:       ['reviewing', 'cancelled', 'spam'],
+  reviewing: ['quoted', 'cancelled'],
+  quoted:    ['won', 'lost', 'reviewing'],
+  won:       ['reviewing'],
+  lost:      ['reviewing'],
+  cancelled: ['reviewing'],
+  spam:      ['new']
+};
+const QUOTE_STATUSES = Object.keys(QUOTE_TRANSITIONS);
+
+const QuoteItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  // Cópia do código/nome no momento do pedido (o produto pode mudar ou ser excluído)
+  code: { type: String },
+  name: { type: String, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  notes: { type: String, trim: true }
+}, { _id: false });
+
+const NoteSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const StatusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const QuoteRequestSchema = new mongoose.Schema({
+  // Número de referência informado ao cliente (ex.: COT-2026-000042)
+  reference: { type: String, required: true, unique: true },
+  company: {
+    name: { type: String, required: true, trim: true },
+    cnpj: { type: String, required: true, index: true }, // sem pontuação
+    city: { type: String, trim: true },
+    state: { type: String, trim: true, uppercase: true }
+  },
+  contact: {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true, index: true },
+    phone: { type: String, trim: true }
+  },
+  items: {
+    type: [QuoteItemSchema],
+    validate: [items => items.length > 0, 'A cotação precisa de pelo menos um item.']
+  },
+  message: { type: String, trim: true },
+  status: { type: String, enum: QUOTE_STATUSES, default: 'new', index: true },
+  statusHistory: { type: [StatusChangeSchema], default: [] },
+  statusChangedAt: { type: Date },
+  notes: { type: [NoteSchema], default: [] },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  ip: { type: String },
+  // jti do token do formulário: cada token vale para um único envio (índice único
+  // também contra dois envios simultâneos)
+  formTokenId: { type: String, unique: true, sparse: true },
+  spamScore: { type: Number, default: 0 },
+  spamReasons: { type: [String], default: undefined }
+}, {
+  timestamps: true
+});
+
+QuoteRequestSchema.statics.STATUSES = QUOTE_STATUSES;
+QuoteRequestSchema.statics.TRANSITIONS = QUOTE_TRANSITIONS;
+
+// Gera o próximo número de referência; a sequência reinicia a cada ano
+QuoteRequestSchema.statics.nextReference = async function (now = new Date()) {
+  const year = now.getFullYear();
+  const seq = await Counter.next(`quote-${year}`);
+  return `COT-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+QuoteRequestSchema.methods.canTransitionTo = function (status) {
+  return (QUOTE_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Muda o status registrando a transição (a validação do pipeline fica com canTransitionTo)
+QuoteRequestSchema.methods.transitionTo = function (status, userId) {
+  const now = new Date();
+  this.statusHistory.push({ from: this.status, to: status, by: userId, at: now });
+  this.status = status;
+  this.statusChangedAt = now;
+};
+
+module.exports = mongoose.model('QuoteRequest', QuoteRequestSchema);
@@ -1,7 +1,66 @@
 const mongoose = require('mongoose');
+const { isHashed, hashPassword, verifyPassword } = require('../utils/password');
+const { ROLES } = require('../config/roles');
+
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, default: 'admin' }
+  email: { type: String, trim: true, lowercase: true, unique: true, sparse: true },
+  role: { type: String, enum: ROLES, default: 'editor' },
+  disabled: { type: Boolean, default: false },
+  // Marca o admin criado pelo bootstrap (/api/auth/create-admin). O índice único
+  // impede que duas requisições simultâneas criem dois admins.
+  bootstrapAdmin: { type: Boolean, unique: true, sparse: true },
+  // Recuperação de senha: apenas o hash do token é guardado (uso único)
+  passwordResetTokenHash: { type: String, index: true },
+  passwordResetExpiresAt: { type: Date },
+  // Autenticação em dois fatores (TOTP)
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String },
+  twoFactorPendingSecret: { type: String },
+  twoFactorLastUsedStep: { type: Number },
+  twoFactorRecoveryCodeHashes: { type: [String], default: undefined },
+  // Bloqueio por tentativas de login falhas
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  lastLoginAt: { type: Date }
+}, {
+  timestamps: true,
+  toJSON: {
+    // Nunca expor dados sensíveis nas respostas da API
+    transform(doc, ret) {
+      delete ret.password;
+      delete ret.passwordResetTokenHash;
+      delete ret.passwordResetExpiresAt;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorPendingSecret;
+      delete ret.twoFactorLastUsedStep;
+      delete ret.twoFactorRecoveryCodeHashes;
+      delete ret.__v;
+      return ret;
+    }
+  }
 });
+
+// Garante que a senha nunca seja gravada em texto puro
+userSchema.pre('save', async function (next) {
+  if (!this.isModified('password') || isHashed(this.password)) return next();
+  try {
+    this.password = await hashPassword(this.password);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Compara a senha informada com a armazenada (bcrypt ou legado em texto puro)
+userSchema.methods.comparePassword = function (plain) {
+  return verifyPassword(plain, this.password);
+};
+
+// true enquanto o registro ainda guarda a senha em texto puro
+userSchema.methods.needsPasswordUpgrade = function () {
+  return !isHashed(this.password);
+};
+
 module.exports = mongoose.model('User', userSchema);
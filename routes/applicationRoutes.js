@@ -0,0 +1,24 @@
+const express = require("express");
+const applicationController = require("../controllers/applicationController");
+
+const router = express.Router();
+
+// Busca em cascata (pública): marca → modelo → ano → motor → produtos
+// A gestão das aplicações é feita junto com o produto (POST/PUT /api/products)
+
+// GET /api/applications/makes
+router.get("/makes", applicationController.getMakes);
+
+// GET /api/applications/models
+router.get("/models", applicationController.getModels);
+
+// GET /api/applications/years
+router.get("/years", applicationController.getYears);
+
+// GET /api/applications/engines
+router.get("/engines", applicationController.getEngines);
+
+// GET /api/applications/products
+router.get("/products", applicationController.getProducts);
+
+module.exports = router;
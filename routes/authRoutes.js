@@ -1,10 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const verifyToken = require('../middlewares/verifyToken');
 
 router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
 router.get('/validate-token', authController.validateToken);
 router.post('/logout', authController.logout);
+router.post('/logout-all', verifyToken, authController.logoutAll);
+router.post('/change-password', verifyToken, authController.changePassword);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
 router.post('/create-admin', authController.createAdmin);
 
+// Autenticação em dois fatores (TOTP)
+router.post('/2fa/verify', twoFactorController.verifyLogin);
+router.post('/2fa/setup', verifyToken, twoFactorController.setup);
+router.post('/2fa/confirm', verifyToken, twoFactorController.confirm);
+router.post('/2fa/recovery-codes', verifyToken, twoFactorController.regenerateRecoveryCodes);
+router.post('/2fa/disable', verifyToken, twoFactorController.disable);
+
 module.exports = router;
@@ -2,7 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
 const CarouselModel = require('../models/Carousel');
+const { deleteUnreferencedFiles } = require('../utils/fileReferences');
 
 /** Helper: se a URL não for do mesmo host, devolve via proxy local */
 function toSameOrigin(req, url) {
@@ -22,7 +24,7 @@ function toSameOrigin(req, url) {
 /* Cria um novo item do carrossel                                     */
 /* Body: { imageUrl, fullImageUrl?, alt?, caption? }                  */
 /* ------------------------------------------------------------------ */
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requirePermission('carousel:write'), async (req, res) => {
   try {
     const { imageUrl, fullImageUrl, alt, caption } = req.body;
 
@@ -95,13 +97,21 @@ router.get('/', async (req, res) => {
 
 /* ------------------------------------------------------------------ */
 /* DELETE /api/carousel/:id                                            */
-/* Remove item e reindexa posições (0..n-1)                            */
+/* Remove item, apaga suas imagens do GridFS e reindexa posições      */
 /* ------------------------------------------------------------------ */
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('carousel:write'), async (req, res) => {
   try {
     const removed = await CarouselModel.findByIdAndDelete(req.params.id);
     if (!removed) return res.status(404).json({ error: 'Imagem não encontrada.' });
 
+    // Imagens enviadas via /api/upload; URLs externas e imagens usadas em outro
+    // cadastro são mantidas. Falha aqui não desfaz a exclusão: o GC de arquivos recolhe o que sobrar.
+    try {
+      await deleteUnreferencedFiles([removed.imageUrl, removed.fullImageUrl]);
+    } catch (err) {
+      console.error('Erro ao apagar imagens do carrossel no GridFS:', err);
+    }
+
     // reindexa posições para manter sequência consistente
     const all = await CarouselModel.find().sort({ position: 1 });
     await Promise.all(
@@ -124,7 +134,7 @@ router.delete('/:id', verifyToken, async (req, res) => {
 /* POST /api/carousel/reorder                                          */
 /* Body: { order: [id1, id2, ...] }                                    */
 /* ------------------------------------------------------------------ */
-router.post('/reorder', verifyToken, async (req, res) => {
+router.post('/reorder', verifyToken, requirePermission('carousel:write'), async (req, res) => {
   try {
     const { order } = req.body;
     if (!Array.isArray(order)) {
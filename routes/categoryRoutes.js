@@ -0,0 +1,99 @@
+const express = require("express");
+const { body } = require("express-validator");
+const mongoose = require("mongoose");
+const categoryController = require("../controllers/categoryController");
+const verifyToken = require("../middlewares/verifyToken");
+const requirePermission = require("../middlewares/requirePermission");
+
+const router = express.Router();
+
+// Valida ObjectId nas rotas com :id
+const validateId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: "ID inválido!" });
+  }
+  next();
+};
+
+// Campos comuns a criação e edição
+const commonValidation = [
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("A descrição deve ser texto"),
+  body("parent")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Categoria pai inválida"),
+  body("order")
+    .optional()
+    .isInt()
+    .withMessage("A ordem deve ser um número inteiro"),
+  body("slug")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Slug inválido")
+];
+
+// POST /api/categories
+router.post(
+  "/",
+  verifyToken,
+  requirePermission("categories:write"),
+  [
+    body("name")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("O nome da categoria é obrigatório"),
+    ...commonValidation
+  ],
+  categoryController.createCategory
+);
+
+// POST /api/categories/reorder
+router.post(
+  "/reorder",
+  verifyToken,
+  requirePermission("categories:write"),
+  categoryController.reorderCategories
+);
+
+// GET /api/categories
+router.get("/", categoryController.getCategories);
+
+// GET /api/categories/tree
+router.get("/tree", categoryController.getCategoryTree);
+
+// GET /api/categories/:idOrSlug
+router.get("/:idOrSlug", categoryController.getCategory);
+
+// PUT /api/categories/:id
+router.put(
+  "/:id",
+  verifyToken,
+  requirePermission("categories:write"),
+  validateId,
+  [
+    body("name")
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("O nome da categoria não pode ficar vazio"),
+    ...commonValidation
+  ],
+  categoryController.updateCategory
+);
+
+// DELETE /api/categories/:id
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("categories:write"),
+  validateId,
+  categoryController.deleteCategory
+);
+
+module.exports = router;
@@ -1,22 +1,87 @@
 const express = require('express');
-const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, query } = require('express-validator');
+const mongoose = require('mongoose');
 const contactController = require('../controllers/contactController'); 
 const verifyToken = require('../middlewares/verifyToken'); // Middleware de autenticação
+const requirePermission = require('../middlewares/requirePermission');
+const ContactMessage = require('../models/ContactMessage');
 
 const router = express.Router();
 
+// Valida ObjectId nas rotas com :id / :noteId
+const validateObjectId = (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'ID inválido!' });
+  }
+  next();
+};
+router.param('id', validateObjectId);
+router.param('noteId', validateObjectId);
+
+// Limite por IP bem mais apertado que o apiLimiter geral
+const contactLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.CONTACT_RATE_LIMIT, 10) || 5,
+  message: { error: 'Muitas mensagens enviadas em pouco tempo. Tente novamente mais tarde.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Token assinado que o formulário envia junto com a mensagem (anti-spam)
+router.get('/form-token', contactController.getFormToken);
+
 // Rota para enviar mensagem de contato
-router.post('/contact', [
+router.post('/contact', contactLimiter, [
   body('nome').notEmpty().withMessage('O nome é obrigatório'),
   body('email').isEmail().withMessage('Insira um e-mail válido'),
   body('telefone').optional().isMobilePhone().withMessage('Número de telefone inválido'),
-  body('mensagem').notEmpty().withMessage('A mensagem não pode estar vazia')
+  body('mensagem').notEmpty().withMessage('A mensagem não pode estar vazia'),
+  body('formToken').notEmpty().withMessage('Token do formulário ausente: obtenha um em GET /api/contact/form-token')
 ], contactController.sendMessage);
 
-// Rota para listar todas as mensagens (restrita ao admin)
-router.get('/messages', verifyToken, contactController.getAllMessages);
+// Rota para listar as mensagens (admin e atendimento), com filtros e paginação
+router.get('/messages', verifyToken, requirePermission('contact:read'), [
+  query('status')
+    .optional()
+    .custom(value => String(value).split(',').every(s => ContactMessage.STATUSES.includes(s.trim())))
+    .withMessage(`O status deve ser um de: ${ContactMessage.STATUSES.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from deve ser uma data ISO 8601'),
+  query('to').optional().isISO8601().withMessage('to deve ser uma data ISO 8601'),
+  query('assignedTo')
+    .optional()
+    .custom(value => ['me', 'none'].includes(value) || mongoose.Types.ObjectId.isValid(value))
+    .withMessage('assignedTo deve ser me, none ou um ID de usuário'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page deve ser um inteiro positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit deve estar entre 1 e 100')
+], contactController.getAllMessages);
+
+// Contadores para o badge do painel
+router.get('/messages/unread-count', verifyToken, requirePermission('contact:read'), contactController.getUnreadCount);
+
+// Detalhe de uma mensagem (marca como lida)
+router.get('/messages/:id', verifyToken, requirePermission('contact:read'), contactController.getMessageById);
+
+// Triagem: status, notas internas e atribuição
+router.patch('/messages/:id/status', verifyToken, requirePermission('contact:triage'), [
+  body('status').isIn(ContactMessage.STATUSES).withMessage(`O status deve ser um de: ${ContactMessage.STATUSES.join(', ')}`)
+], contactController.updateStatus);
+
+router.post('/messages/:id/notes', verifyToken, requirePermission('contact:triage'), [
+  body('text').trim().notEmpty().withMessage('A nota não pode estar vazia')
+    .isLength({ max: 5000 }).withMessage('A nota deve ter no máximo 5000 caracteres')
+], contactController.addNote);
+
+router.delete('/messages/:id/notes/:noteId', verifyToken, requirePermission('contact:triage'), contactController.deleteNote);
+
+router.put('/messages/:id/assignee', verifyToken, requirePermission('contact:triage'), [
+  body('userId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('userId deve ser um ID de usuário válido')
+], contactController.assignMessage);
 
 // Rota para deletar uma mensagem pelo ID (restrita ao admin)
-router.delete('/messages/:id', verifyToken, contactController.deleteMessage);
+router.delete('/messages/:id', verifyToken, requirePermission('contact:delete'), contactController.deleteMessage);
 
 module.exports = router;
@@ -0,0 +1,85 @@
+const express = require("express");
+const { body } = require("express-validator");
+const mongoose = require("mongoose");
+const crossReferenceController = require("../controllers/crossReferenceController");
+const verifyToken = require("../middlewares/verifyToken");
+const requirePermission = require("../middlewares/requirePermission");
+
+const router = express.Router();
+
+// Valida ObjectId nas rotas com :id
+const validateId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: "ID inválido!" });
+  }
+  next();
+};
+
+const typeValidation = body("type")
+  .optional()
+  .isIn(["competitor", "oem"])
+  .withMessage("type deve ser competitor ou oem");
+
+// GET /api/cross-references/lookup (público)
+router.get("/lookup", crossReferenceController.lookup);
+
+// GET /api/cross-references
+router.get(
+  "/",
+  verifyToken,
+  requirePermission("products:write"),
+  crossReferenceController.listCrossReferences
+);
+
+// POST /api/cross-references
+router.post(
+  "/",
+  verifyToken,
+  requirePermission("products:write"),
+  [
+    body("brand").isString().trim().notEmpty().withMessage("A marca é obrigatória"),
+    body("code").isString().trim().notEmpty().withMessage("O código é obrigatório"),
+    body("product").optional().isMongoId().withMessage("ID de produto inválido"),
+    body().custom(value => {
+      if (!value.product && !value.productCode) {
+        throw new Error("Informe product ou productCode");
+      }
+      return true;
+    }),
+    typeValidation
+  ],
+  crossReferenceController.createCrossReference
+);
+
+// POST /api/cross-references/bulk
+router.post(
+  "/bulk",
+  verifyToken,
+  requirePermission("products:write"),
+  crossReferenceController.bulkImport
+);
+
+// PUT /api/cross-references/:id
+router.put(
+  "/:id",
+  verifyToken,
+  requirePermission("products:write"),
+  validateId,
+  [
+    body("brand").optional().isString().trim().notEmpty().withMessage("A marca não pode ficar vazia"),
+    body("code").optional().isString().trim().notEmpty().withMessage("O código não pode ficar vazio"),
+    typeValidation
+  ],
+  crossReferenceController.updateCrossReference
+);
+
+// DELETE /api/cross-references/:id
+router.delete(
+  "/:id",
+  verifyToken,
+  requirePermission("products:write"),
+  validateId,
+  crossReferenceController.deleteCrossReference
+);
+
+module.exports = router;
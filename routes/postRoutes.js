@@ -1,39 +1,109 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const mongoose = require('mongoose');
 const postController = require('../controllers/postController'); // Caminho correto
 const verifyToken = require('../middlewares/verifyToken'); // Middleware de autenticação
+const requirePermission = require('../middlewares/requirePermission');
+const { gridfsFilenameFromUrl } = require('../utils/gridfs');
+const Post = require('../models/Post');
 
 const router = express.Router();
 
+// Valida ObjectId nas rotas com :id
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'ID inválido!' });
+  }
+  next();
+});
+
+const publishAtValidation = body('publishAt')
+  .optional({ values: 'null' })
+  .isISO8601()
+  .withMessage('publishAt deve ser uma data ISO 8601');
+
+const postValidation = [
+  body('title').notEmpty().withMessage('O título é obrigatório'),
+  body('content').notEmpty().withMessage('O conteúdo é obrigatório'),
+  body('slug').optional().trim().isLength({ max: 80 }).withMessage('O slug deve ter no máximo 80 caracteres'),
+  body('excerpt').optional().trim().isLength({ max: 500 }).withMessage('O resumo deve ter no máximo 500 caracteres'),
+  body('status').optional().isIn(Post.STATUSES).withMessage(`O status deve ser um de: ${Post.STATUSES.join(', ')}`),
+  publishAtValidation,
+  body('tags')
+    .optional()
+    .custom(tags => Array.isArray(tags) || typeof tags === 'string')
+    .withMessage('tags deve ser uma lista ou texto separado por vírgulas'),
+  body('coverImage.url')
+    .optional({ values: 'falsy' })
+    .custom(url => Boolean(gridfsFilenameFromUrl(url)))
+    .withMessage('A capa deve ser uma imagem enviada via /api/upload')
+];
+
 // 📌 Criar Post (necessário token)
 router.post(
   '/',
   verifyToken,
+  requirePermission('posts:write'),
+  postValidation,
+  postController.createPost
+);
+
+// 📌 Pré-visualizar Markdown renderizado
+router.post(
+  '/preview',
+  verifyToken,
+  requirePermission('posts:write'),
+  [body('content').isString().withMessage('O conteúdo deve ser texto')],
+  postController.previewPost
+);
+
+const listValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page deve ser um inteiro positivo'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit deve estar entre 1 e 50')
+];
+
+// ✅ Obter todos os posts (painel, todos os status + contagens)
+router.get(
+  '/',
+  verifyToken,
+  requirePermission('posts:read'),
   [
-    body('title').notEmpty().withMessage('O título é obrigatório'),
-    body('content').notEmpty().withMessage('O conteúdo é obrigatório')
+    ...listValidation,
+    query('status').optional().isIn(Post.STATUSES).withMessage(`O status deve ser um de: ${Post.STATUSES.join(', ')}`)
   ],
-  postController.createPost
+  postController.getAllPosts
 );
 
-// ✅ Obter todos os posts
-router.get('/', verifyToken, postController.getAllPosts);
+// 🌐 Listar posts publicados (público)
+router.get('/public', listValidation, postController.getPublishedPosts);
 
-// 📌 Obter post por ID
-router.get('/:id', postController.getPostById);
+// 🌐 Obter post publicado pelo slug (público)
+router.get('/slug/:slug', postController.getPostBySlug);
+
+// 📌 Obter post por ID (painel, qualquer status)
+router.get('/:id', verifyToken, requirePermission('posts:read'), postController.getPostById);
 
 // 📌 Atualizar Post (necessário token)
 router.put(
   '/:id',
   verifyToken,
-  [
-    body('title').notEmpty().withMessage('O título é obrigatório'),
-    body('content').notEmpty().withMessage('O conteúdo é obrigatório')
-  ],
+  requirePermission('posts:write'),
+  postValidation,
   postController.updatePost
 );
 
+// 📌 Transições de status
+router.post('/:id/publish', verifyToken, requirePermission('posts:write'), [publishAtValidation], postController.publishPost);
+router.post(
+  '/:id/schedule',
+  verifyToken,
+  requirePermission('posts:write'),
+  [body('publishAt').isISO8601().withMessage('publishAt deve ser uma data ISO 8601')],
+  postController.schedulePost
+);
+router.post('/:id/unpublish', verifyToken, requirePermission('posts:write'), postController.unpublishPost);
+
 // 📌 Deletar Post (necessário token)
-router.delete('/:id', verifyToken, postController.deletePost);
+router.delete('/:id', verifyToken, requirePermission('posts:write'), postController.deletePost);
 
 module.exports = router;
@@ -1,8 +1,13 @@
 const express = require("express");
 const { body } = require("express-validator");
 const mongoose = require("mongoose");
+const multer = require("multer");
+const path = require("path");
 const productController = require("../controllers/productController");
 const verifyToken = require("../middlewares/verifyToken");
+const Application = require("../models/Application");
+const { SUPPORTED_EXTENSIONS } = require("../utils/spreadsheet");
+const requirePermission = require("../middlewares/requirePermission");
 
 const router = express.Router();
 
@@ -11,6 +16,10 @@ const productValidation = [
   body("name")
     .notEmpty()
     .withMessage("O nome do produto é obrigatório"),
+  body("code")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("O código deve ser texto"),
   body("description")
     .notEmpty()
     .withMessage("A descrição é obrigatória"),
@@ -18,24 +27,139 @@ const productValidation = [
     .optional()
     .isNumeric()
     .withMessage("O preço deve ser um número"),
+  // imageUrl só é obrigatório quando não vier a galeria (images)
   body("imageUrl")
+    .if(body("images").not().isArray({ min: 1 }))
     .notEmpty()
     .withMessage("A URL da imagem é obrigatória"),
+  body("images")
+    .optional()
+    .isArray()
+    .withMessage("images deve ser uma lista"),
+  body("images.*.url")
+    .trim()
+    .notEmpty()
+    .withMessage("A URL de cada imagem é obrigatória"),
+  body("images.*.alt")
+    .optional()
+    .isString()
+    .withMessage("O texto alternativo deve ser texto"),
+  body("images.*.isMain")
+    .optional()
+    .isBoolean()
+    .withMessage("isMain deve ser true ou false")
+    .toBoolean(),
+  body("documents")
+    .optional()
+    .isArray()
+    .withMessage("documents deve ser uma lista"),
+  body("documents.*.url")
+    .trim()
+    .notEmpty()
+    .withMessage("A URL de cada documento é obrigatória"),
+  body("documents.*.type")
+    .optional()
+    .isIn(["datasheet", "installation-guide", "other"])
+    .withMessage("Tipo de documento inválido"),
   body("isNewRelease")
     .optional()
     .isBoolean()
     .withMessage("isNewRelease deve ser true ou false")
-    .toBoolean()
+    .toBoolean(),
+  body("categories")
+    .optional()
+    .isArray()
+    .withMessage("categories deve ser uma lista de IDs"),
+  body("categories.*")
+    .isMongoId()
+    .withMessage("ID de categoria inválido"),
+  body("applications")
+    .optional()
+    .isArray()
+    .withMessage("applications deve ser uma lista"),
+  body("applications.*.make")
+    .trim()
+    .notEmpty()
+    .withMessage("A marca do veículo é obrigatória"),
+  body("applications.*.model")
+    .trim()
+    .notEmpty()
+    .withMessage("O modelo do veículo é obrigatório"),
+  body("applications.*.position")
+    .isIn(Application.FILTER_POSITIONS)
+    .withMessage(`A posição deve ser uma de: ${Application.FILTER_POSITIONS.join(", ")}`),
+  body("applications.*.vehicleType")
+    .optional()
+    .isIn(Application.VEHICLE_TYPES)
+    .withMessage(`O tipo deve ser um de: ${Application.VEHICLE_TYPES.join(", ")}`),
+  body(["applications.*.yearFrom", "applications.*.yearTo"])
+    .optional({ values: "null" })
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage("Ano inválido")
+    .toInt()
 ];
 
+// Upload de planilhas para importação (somente CSV/XLSX, em memória)
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || "").toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+      return cb(new Error("Somente arquivos CSV ou XLSX são permitidos!"), false);
+    }
+    cb(null, true);
+  },
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// Devolve erros do multer como 400 em vez de cair no handler genérico
+const receiveSpreadsheet = (req, res, next) => {
+  spreadsheetUpload.single("file")(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+};
+
+// POST /api/products/import
+router.post(
+  "/import",
+  verifyToken,
+  requirePermission("products:write"),
+  receiveSpreadsheet,
+  productController.importProducts
+);
+
 // POST /api/products
 router.post(
   "/",
   verifyToken,
+  requirePermission("products:write"),
   productValidation,
   productController.createProduct
 );
 
+// GET /api/products/export
+router.get(
+  "/export",
+  verifyToken,
+  requirePermission("catalog:export"),
+  productController.exportProducts
+);
+
+// GET /api/products/catalog.pdf
+router.get(
+  "/catalog.pdf",
+  verifyToken,
+  requirePermission("catalog:export"),
+  productController.exportCatalogPdf
+);
+
+// GET /api/products/search
+router.get(
+  "/search",
+  productController.searchProducts
+);
+
 // GET /api/products/new-releases
 router.get(
   "/new-releases",
@@ -64,6 +188,7 @@ router.get(
 router.put(
   "/:id",
   verifyToken,
+  requirePermission("products:write"),
   productValidation,
   productController.updateProduct
 );
@@ -72,6 +197,7 @@ router.put(
 router.delete(
   "/:id",
   verifyToken,
+  requirePermission("products:write"),
   productController.deleteProduct
 );
 
@@ -0,0 +1,106 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query } = require('express-validator');
+const quoteController = require('../controllers/quoteController');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const QuoteRequest = require('../models/QuoteRequest');
+const { isValidCnpj } = require('../utils/cnpj');
+
+const router = express.Router();
+
+const MAX_ITEMS = 100;
+
+// Mesmo limite por IP do formulário de contato
+const quoteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.CONTACT_RATE_LIMIT, 10) || 5,
+  message: { error: 'Muitas solicitações enviadas em pouco tempo. Tente novamente mais tarde.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const statusMessage = `O status deve ser um de: ${QuoteRequest.STATUSES.join(', ')}`;
+
+// POST /api/quotes (público)
+router.post(
+  '/',
+  quoteLimiter,
+  [
+    body('company.name').trim().notEmpty().withMessage('O nome da empresa é obrigatório'),
+    body('company.cnpj').custom(isValidCnpj).withMessage('CNPJ inválido'),
+    body('company.city').optional().trim(),
+    body('company.state').optional().trim().isLength({ min: 2, max: 2 }).withMessage('UF deve ter 2 letras'),
+    body('contact.name').trim().notEmpty().withMessage('O nome do contato é obrigatório'),
+    body('contact.email').trim().isEmail().withMessage('Insira um e-mail válido'),
+    body('contact.phone').optional({ values: 'falsy' }).isMobilePhone('pt-BR').withMessage('Número de telefone inválido'),
+    body('items')
+      .isArray({ min: 1, max: MAX_ITEMS })
+      .withMessage(`Informe de 1 a ${MAX_ITEMS} itens`),
+    body('items.*.productId').isMongoId().withMessage('productId inválido'),
+    body('items.*.quantity').isInt({ min: 1, max: 1000000 }).withMessage('A quantidade deve ser um inteiro positivo'),
+    body('items.*.notes').optional().trim().isLength({ max: 500 }).withMessage('Observação do item muito longa'),
+    body('message').optional().trim().isLength({ max: 5000 }).withMessage('A mensagem deve ter no máximo 5000 caracteres'),
+    body('formToken').notEmpty().withMessage('Token do formulário ausente: obtenha um em GET /api/contact/form-token')
+  ],
+  quoteController.createQuote
+);
+
+// GET /api/quotes
+router.get(
+  '/',
+  verifyToken,
+  requirePermission('quotes:read'),
+  [
+    query('status')
+      .optional()
+      .custom(value => String(value).split(',').every(s => QuoteRequest.STATUSES.includes(s.trim())))
+      .withMessage(statusMessage),
+    query('from').optional().isISO8601().withMessage('from deve ser uma data ISO 8601'),
+    query('to').optional().isISO8601().withMessage('to deve ser uma data ISO 8601'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page deve ser um inteiro positivo'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit deve estar entre 1 e 100')
+  ],
+  quoteController.listQuotes
+);
+
+// GET /api/quotes/by-email?email=
+router.get(
+  '/by-email',
+  verifyToken,
+  requirePermission('quotes:read'),
+  [query('email').trim().isEmail().withMessage('Insira um e-mail válido')],
+  quoteController.listQuotesByEmail
+);
+
+// GET /api/quotes/:idOrReference
+router.get('/:idOrReference', verifyToken, requirePermission('quotes:read'), quoteController.getQuote);
+
+// GET /api/quotes/:idOrReference/export?format=pdf|csv
+router.get('/:idOrReference/export', verifyToken, requirePermission('quotes:read'), quoteController.exportQuote);
+
+// PATCH /api/quotes/:idOrReference/status
+router.patch(
+  '/:idOrReference/status',
+  verifyToken,
+  requirePermission('quotes:manage'),
+  [
+    body('status').isIn(QuoteRequest.STATUSES).withMessage(statusMessage),
+    body('note').optional().trim().isLength({ max: 5000 }).withMessage('A nota deve ter no máximo 5000 caracteres')
+  ],
+  quoteController.updateStatus
+);
+
+// POST /api/quotes/:idOrReference/notes
+router.post(
+  '/:idOrReference/notes',
+  verifyToken,
+  requirePermission('quotes:manage'),
+  [
+    body('text').trim().notEmpty().withMessage('A nota não pode estar vazia')
+      .isLength({ max: 5000 }).withMessage('A nota deve ter no máximo 5000 caracteres')
+  ],
+  quoteController.addNote
+);
+
+module.exports = router;
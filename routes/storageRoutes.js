@@ -0,0 +1,43 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const storageController = require("../controllers/storageController");
+const verifyToken = require("../middlewares/verifyToken");
+const requirePermission = require("../middlewares/requirePermission");
+
+const router = express.Router();
+
+// Manutenção do bucket de arquivos: somente administradores
+router.use(verifyToken, requirePermission("storage:manage"));
+
+// GET /api/storage/summary
+router.get("/summary", storageController.getSummary);
+
+// GET /api/storage/orphans
+router.get(
+  "/orphans",
+  [
+    query("graceHours")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("graceHours deve ser um número maior ou igual a zero")
+  ],
+  storageController.listOrphans
+);
+
+// POST /api/storage/gc
+router.post(
+  "/gc",
+  [
+    body("graceHours")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("graceHours deve ser um número maior ou igual a zero"),
+    body("dryRun")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("dryRun deve ser true ou false")
+  ],
+  storageController.runGarbageCollection
+);
+
+module.exports = router;
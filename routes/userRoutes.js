@@ -0,0 +1,87 @@
+const express = require("express");
+const { body } = require("express-validator");
+const mongoose = require("mongoose");
+const userController = require("../controllers/userController");
+const verifyToken = require("../middlewares/verifyToken");
+const requirePermission = require("../middlewares/requirePermission");
+const { ROLES } = require("../config/roles");
+
+const router = express.Router();
+
+// Todas as rotas de usuários exigem token de quem pode gerenciar usuários
+router.use(verifyToken, requirePermission("users:manage"));
+
+// Valida ObjectId nas rotas com :id
+router.param("id", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "ID inválido!" });
+  }
+  next();
+});
+
+const roleValidation = body("role")
+  .isIn(ROLES)
+  .withMessage(`O papel deve ser um de: ${ROLES.join(", ")}`);
+
+const emailValidation = () => body("email")
+  .trim()
+  .isEmail()
+  .withMessage("Insira um e-mail válido");
+
+// GET /api/users
+router.get("/", userController.listUsers);
+
+// GET /api/users/login-history
+router.get("/login-history", userController.getLoginHistory);
+
+// POST /api/users
+router.post(
+  "/",
+  [
+    body("username")
+      .trim()
+      .notEmpty()
+      .withMessage("O nome de usuário é obrigatório"),
+    body("password")
+      .notEmpty()
+      .withMessage("A senha é obrigatória"),
+    roleValidation,
+    emailValidation().optional()
+  ],
+  userController.createUser
+);
+
+// PUT /api/users/:id/role
+router.put("/:id/role", [roleValidation], userController.updateRole);
+
+// PUT /api/users/:id/email
+router.put("/:id/email", [emailValidation()], userController.updateEmail);
+
+// PUT /api/users/:id/status
+router.put(
+  "/:id/status",
+  [
+    body("disabled")
+      .isBoolean()
+      .withMessage("disabled deve ser true ou false")
+      .toBoolean()
+  ],
+  userController.updateStatus
+);
+
+// POST /api/users/:id/logout-all
+router.post("/:id/logout-all", userController.revokeSessions);
+
+// POST /api/users/:id/unlock
+router.post("/:id/unlock", userController.unlockUser);
+
+// GET /api/users/:id/login-history
+router.get("/:id/login-history", userController.getLoginHistory);
+
+// DELETE /api/users/:id/2fa
+router.delete("/:id/2fa", userController.resetTwoFactor);
+
+// DELETE /api/users/:id
+router.delete("/:id", userController.deleteUser);
+
+module.exports = router;
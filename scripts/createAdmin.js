@@ -1,43 +1,52 @@
 require('dotenv').config();
-console.log("MONGO_URI:", process.env.MONGO_URI);
 const mongoose = require('mongoose');
-const User = require('../models/User'); // Modelo sem bcrypt (senha em texto puro)
+const User = require('../models/User');
+const { checkPasswordPolicy } = require('../utils/password');
 
-// ✅ Conectar ao MongoDB
-mongoose.connect(process.env.MONGO_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-})
-  .then(() => console.log('✅ Conectado ao MongoDB'))
-  .catch(err => console.error('❌ Erro ao conectar ao MongoDB:', err));
+// Uso: node scripts/createAdmin.js <usuario> <senha>
+// (ou ADMIN_USERNAME / ADMIN_PASSWORD no .env)
+const username = process.argv[2] || process.env.ADMIN_USERNAME || "admin";
+const password = process.argv[3] || process.env.ADMIN_PASSWORD;
 
-// ✅ Criar novo usuário (sem bcrypt)
+// ✅ Criar novo usuário (senha com hash bcrypt via pre('save'))
 async function createAdminUser() {
+  if (!password) {
+    console.error("❌ Informe a senha: node scripts/createAdmin.js <usuario> <senha>");
+    process.exitCode = 1;
+    return;
+  }
+
+  const passwordProblems = checkPasswordPolicy(password);
+  if (passwordProblems.length) {
+    passwordProblems.forEach(p => console.error(`❌ ${p}`));
+    process.exitCode = 1;
+    return;
+  }
+
   try {
-    const username = "admin";
-    const password = "admin123"; // Senha em texto puro
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Conectado ao MongoDB');
 
     // Verificar se o usuário já existe
     const existingUser = await User.findOne({ username });
     if (existingUser) {
       console.log("⚠️ Usuário já existe.");
-      mongoose.connection.close();
       return;
     }
 
-    // Criar novo usuário (senha em texto puro)
     const newUser = new User({
       username,
-      password,  // armazenado exatamente como "admin123"
+      password,
       role: "admin"
     });
 
     await newUser.save();
-    console.log("✅ Usuário admin criado com sucesso (sem bcrypt)!");
-    mongoose.connection.close();
+    console.log(`✅ Usuário admin "${username}" criado com sucesso!`);
   } catch (error) {
     console.error("❌ Erro ao criar usuário:", error);
-    mongoose.connection.close();
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
   }
 }
 
@@ -0,0 +1,71 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { DEFAULT_GRACE_HOURS, storageSummary, collectGarbage } = require('../utils/storageGc');
+
+// Relatório de uso do GridFS e limpeza de arquivos sem referência.
+// Por padrão só simula; --delete apaga de fato.
+// Uso: npm run gc:files -- [--delete] [--grace-hours=24] [--verbose]
+function parseArgs(argv) {
+  const args = { dryRun: true, graceHours: DEFAULT_GRACE_HOURS, verbose: false };
+  for (const arg of argv) {
+    if (arg === '--delete') args.dryRun = false;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg.startsWith('--grace-hours=')) args.graceHours = Number(arg.split('=')[1]);
+    else throw new Error(`Argumento desconhecido: ${arg}`);
+  }
+  if (!Number.isFinite(args.graceHours) || args.graceHours < 0) {
+    throw new Error('--grace-hours deve ser um número maior ou igual a zero.');
+  }
+  return args;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = -1;
+  do {
+    value /= 1024;
+    unit++;
+  } while (value >= 1024 && unit < units.length - 1);
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+async function gcFiles() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Conectado ao MongoDB');
+
+    const summary = await storageSummary();
+    console.log(`\n📦 Armazenamento: ${summary.files} arquivo(s), ${formatBytes(summary.bytes)}`);
+    console.log(`   Variantes de imagem: ${summary.variants.files} arquivo(s), ${formatBytes(summary.variants.bytes)}`);
+    for (const t of summary.byContentType) {
+      console.log(`   ${t.contentType.padEnd(24)} ${String(t.files).padStart(6)}  ${formatBytes(t.bytes)}`);
+    }
+
+    const report = await collectGarbage(args);
+    console.log(`\n🔎 Referenciados: ${report.referenced} | Recentes sem referência (< ${report.graceHours}h): ${report.recentUnreferenced}`);
+    console.log(`🗑️  Órfãos: ${report.orphans.files} arquivo(s), ${formatBytes(report.orphans.bytes)}`);
+
+    if (args.verbose) {
+      for (const o of report.orphans.items) {
+        console.log(`   ${o.filename}  ${formatBytes(o.size)}  ${new Date(o.uploadDate).toISOString()}`);
+      }
+    }
+
+    if (report.dryRun) {
+      console.log('\nℹ️  Simulação: nada foi apagado. Use --delete para remover os órfãos.');
+    } else {
+      console.log(`\n✅ ${report.deleted} arquivo(s) removido(s).`);
+    }
+  } catch (error) {
+    console.error('❌ Erro na limpeza de arquivos:', error.message || error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+gcFiles();
@@ -0,0 +1,35 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { isHashed } = require('../utils/password');
+
+// Migração única: converte em hash bcrypt todas as senhas ainda em texto puro.
+// Uso: npm run migrate:passwords
+async function hashPlaintextPasswords() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Conectado ao MongoDB');
+
+    const users = await User.find();
+    let migrated = 0;
+
+    for (const user of users) {
+      if (isHashed(user.password)) continue;
+
+      // Reatribuir força o pre('save') a gerar o hash
+      user.markModified('password');
+      await user.save();
+      migrated++;
+      console.log(`🔒 Senha convertida: ${user.username}`);
+    }
+
+    console.log(`✅ Migração concluída: ${migrated} de ${users.length} usuário(s) atualizados.`);
+  } catch (error) {
+    console.error("❌ Erro na migração de senhas:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+hashPlaintextPasswords();
@@ -0,0 +1,50 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const { uniqueSlug } = require('../utils/slugify');
+const { renderMarkdown } = require('../utils/markdown');
+
+// Migração única: posts criados antes de slug/status existirem passam a
+// "published", com slug gerado do título e publishAt igual à data original.
+// Também gera o contentHtml (Markdown sanitizado) de quem ainda não tem;
+// API_BASE_URL define a origem das URLs de imagem (vazio = caminhos relativos).
+// Por fim cria os índices do model: o índice único de slug não consegue ser criado
+// na subida do servidor enquanto houver posts sem slug.
+// Uso: npm run migrate:posts
+async function migratePosts() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Conectado ao MongoDB');
+
+    // Coleção crua: o model aplicaria os defaults (status draft) na leitura
+    const legacy = await Post.collection.find({
+      $or: [{ slug: { $exists: false } }, { status: { $exists: false } }, { contentHtml: { $exists: false } }]
+    }).toArray();
+
+    for (const post of legacy) {
+      const update = {};
+      if (!post.slug) update.slug = await uniqueSlug(Post, post.title, post._id);
+      if (!post.status) {
+        update.status = 'published';
+        update.publishAt = post.publishAt || post.date || post._id.getTimestamp();
+      }
+      if (!post.tags) update.tags = [];
+      if (post.contentHtml === undefined) {
+        update.contentHtml = renderMarkdown(post.content, { baseUrl: process.env.API_BASE_URL || '' });
+      }
+      await Post.collection.updateOne({ _id: post._id }, { $set: update });
+    }
+
+    console.log(`✅ ${legacy.length} post(s) migrado(s).`);
+
+    await Post.syncIndexes();
+    console.log('✅ Índices de posts sincronizados.');
+  } catch (error) {
+    console.error("❌ Erro ao migrar posts:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migratePosts();
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+// Recalcula os campos de busca (search.*) de todos os produtos.
+// Necessário uma vez para produtos cadastrados antes da busca existir.
+// Uso: npm run reindex:products
+async function reindexProducts() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Conectado ao MongoDB');
+
+    const cursor = Product.find().cursor();
+    let count = 0;
+
+    for (let product = await cursor.next(); product; product = await cursor.next()) {
+      product.refreshSearchFields();
+      await product.save();
+      count++;
+    }
+
+    console.log(`✅ ${count} produto(s) reindexado(s).`);
+  } catch (error) {
+    console.error("❌ Erro ao reindexar produtos:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+reindexProducts();
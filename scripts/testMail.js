@@ -0,0 +1,37 @@
+require('dotenv').config();
+const { sendMail } = require('../utils/mailer');
+const { renderEmail } = require('../utils/templates');
+
+// Envia um template de e-mail com dados de exemplo, sem banco de dados.
+// Útil para conferir SMTP e templates contra um servidor local (ex.: MailHog na porta 1025):
+//   MAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025 SMTP_IGNORE_TLS=true \
+//     npm run mail:test -- voce@exemplo.com [contact-notification|contact-acknowledgement]
+const SAMPLE = {
+  id: '000000000000000000000000',
+  nome: 'Cliente de Teste',
+  email: 'cliente@exemplo.com',
+  telefone: '(11) 99999-9999',
+  mensagem: 'Gostaria de um orçamento para filtros de óleo.\nObrigado!',
+  data: new Date().toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' }),
+  painelUrl: process.env.ADMIN_PANEL_URL || ''
+};
+
+async function testMail() {
+  const [to, template = 'contact-notification'] = process.argv.slice(2);
+  if (!to) {
+    console.error('❌ Uso: npm run mail:test -- <destinatario> [template]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const email = await renderEmail(template, SAMPLE);
+    const info = await sendMail({ ...email, to });
+    console.log(`✅ E-mail "${email.subject}" enviado para ${to}${info.messageId ? ` (${info.messageId})` : ''}.`);
+  } catch (error) {
+    console.error('❌ Erro ao enviar e-mail de teste:', error.message || error);
+    process.exitCode = 1;
+  }
+}
+
+testMail();
@@ -8,9 +8,6 @@ const mongoose         = require('mongoose');
 const { GridFSBucket } = require('mongodb');
 const multer           = require('multer');
 const path              = require('path');
-const https              = require('https');
-const http                 = require('http');
-const { URL }               = require('url');
 
 // Rotas e middlewares próprios
 const connectDB       = require('./config/db');
@@ -19,7 +16,19 @@ const productRoutes    = require('./routes/productRoutes');
 const postRoutes         = require('./routes/postRoutes');
 const contactRoutes      = require('./routes/contactRoutes');
 const carouselRoutes     = require('./routes/carouselRoutes');
+const userRoutes         = require('./routes/userRoutes');
+const categoryRoutes     = require('./routes/categoryRoutes');
+const crossReferenceRoutes = require('./routes/crossReferenceRoutes');
+const applicationRoutes  = require('./routes/applicationRoutes');
+const storageRoutes      = require('./routes/storageRoutes');
+const quoteRoutes        = require('./routes/quoteRoutes');
 const verifyToken         = require('./middlewares/verifyToken');
+const requirePermission   = require('./middlewares/requirePermission');
+const { writeFile, pickVariantFilename, contentHash, isContentAddressed } = require('./utils/gridfs');
+const { IMAGE_SIZES, canProcess, processImage } = require('./utils/imageProcessing');
+const { getProxiedImage, purgeExpired } = require('./utils/imageProxy');
+const { startWorker: startNotificationWorker } = require('./utils/notificationQueue');
+require('./utils/notifications'); // registra os tipos de notificação (e-mail, webhook)
 
 const app  = express();
 const PORT = process.env.PORT || 5000;
@@ -44,6 +53,14 @@ let gfsBucket;
 mongoose.connection.once('open', () => {
   gfsBucket = new GridFSBucket(mongoose.connection.db, { bucketName: 'uploads' });
   console.log('✅ GridFSBucket inicializado');
+
+  // Limpeza periódica do cache do proxy de imagens
+  setInterval(() => {
+    purgeExpired().catch(err => console.error('Erro ao limpar cache do proxy:', err.message));
+  }, 60 * 60 * 1000).unref();
+
+  // Entrega de e-mails/webhooks enfileirados (inclui os que sobraram de um restart)
+  startNotificationWorker();
 });
 
 /* =========================================================
@@ -84,6 +101,16 @@ const apiLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Proxy de imagens: cada URL nova é baixada e gravada no cache, então o limite é
+// mais apertado que o apiLimiter (o navegador guarda as imagens por 1h)
+const imageProxyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.IMAGE_PROXY_RATE_LIMIT, 10) || 300,
+  message: { error: 'Muitas imagens solicitadas em pouco tempo. Tente novamente em instantes.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /* =========================================================
    5) Arquivos estáticos
 ========================================================= */
@@ -108,33 +135,28 @@ app.get('/admin/dashboard', verifyToken, (req, res) => {
 /* =========================================================
    7) Proxy de imagens externas → same-origin
 ========================================================= */
-app.get('/api/image-proxy', (req, res) => {
+// Só hosts públicos (IP validado na conexão e a cada redirecionamento), tamanho
+// máximo e tipo conferido pelos bytes; as imagens ficam em cache no GridFS
+// (com tamanho máximo, ver utils/imageProxy.js) e o acesso é limitado por IP.
+app.get('/api/image-proxy', imageProxyLimiter, async (req, res) => {
   const target = req.query.url;
   if (!target) return res.status(400).send('Missing url');
 
-  let u;
-  try { u = new URL(target); } catch { return res.status(400).send('Invalid url'); }
-  if (!/^https?:$/.test(u.protocol)) return res.status(400).send('Unsupported protocol');
-
-  const client = u.protocol === 'https:' ? https : http;
-  const request = client.get(u, (r) => {
-    const ct = r.headers['content-type'] || '';
-    if (!ct.startsWith('image/')) { res.status(415).send('Unsupported media type'); r.resume(); return; }
+  try {
+    const image = await getProxiedImage(String(target));
 
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
     res.setHeader('Cache-Control', 'public, max-age=3600');
-    res.setHeader('Content-Type', ct);
-
-    r.pipe(res);
-  });
-
-  request.on('error', (err) => {
-    console.error('Proxy error:', err);
-    res.status(502).send('Bad gateway');
-  });
-
-  request.setTimeout(12000, () => request.destroy(new Error('Upstream timeout')));
+    res.setHeader('Content-Type', image.contentType);
+    res.setHeader('Content-Length', image.buffer.length);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Cache', image.cached ? 'HIT' : 'MISS');
+    res.end(image.buffer);
+  } catch (err) {
+    if (!err.status) console.error('Proxy error:', err);
+    res.status(err.status || 502).send(err.status ? err.message : 'Bad gateway');
+  }
 });
 
 /* =========================================================
@@ -151,54 +173,237 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }
 });
 
-app.post('/api/upload', apiLimiter, upload.single('image'), (req, res) => {
+// JPEG/PNG/WebP passam pelo pipeline de imagens: EXIF removido e variantes
+// thumb/card/full geradas no formato original e em WebP. O arquivo principal
+// (full no formato original) mantém o nome retornado em imageUrl; as variantes
+// ficam como <base>__<tamanho>.<ext>, ligadas a ele por metadata.parent.
+app.post('/api/upload', apiLimiter, verifyToken, requirePermission('products:write'), upload.single('image'), async (req, res) => {
   if (!gfsBucket) return res.status(503).json({ error: 'Banco de arquivos não pronto' });
   if (!req.file) return res.status(400).json({ error: 'Nenhuma imagem enviada!' });
 
-  const filename = `upload_${Date.now()}${path.extname(req.file.originalname || '')}`;
-  const uploadStream = gfsBucket.openUploadStream(filename, {
-    contentType: req.file.mimetype,
-    metadata: { contentType: req.file.mimetype }
-  });
+  const base = `upload_${Date.now()}_${contentHash(req.file.buffer)}`;
+  const fileUrl = name => `${req.protocol}://${req.get('host')}/api/files/${name}`;
+
+  try {
+    // SVG, GIF etc. continuam sendo salvos como vieram
+    if (!canProcess(req.file.mimetype)) {
+      const filename = await writeFile(`${base}${path.extname(req.file.originalname || '')}`, req.file.buffer, {
+        contentType: req.file.mimetype
+      });
+      return res.status(200).json({ imageUrl: fileUrl(filename), filename });
+    }
+
+    let processed;
+    try {
+      processed = await processImage(req.file.buffer, req.file.mimetype);
+    } catch (err) {
+      return res.status(400).json({ error: 'Imagem inválida ou corrompida.' });
+    }
 
-  uploadStream.end(req.file.buffer);
+    const mainFilename = `${base}${processed.ext}`;
+    const extFor = format => (format === processed.format ? processed.ext : `.${format}`);
+    const nameFor = v => (v.size === 'full' && v.format === processed.format)
+      ? mainFilename
+      : `${base}__${v.size}${extFor(v.format)}`;
+
+    const variants = processed.variants.map(v => ({
+      size: v.size,
+      format: v.format,
+      filename: nameFor(v),
+      width: v.width,
+      height: v.height
+    }));
+
+    // Variantes primeiro; o principal por último, já com a lista completa no metadata
+    for (const v of processed.variants) {
+      const filename = nameFor(v);
+      if (filename === mainFilename) continue;
+      await writeFile(filename, v.buffer, {
+        contentType: v.contentType,
+        metadata: { parent: mainFilename, variant: v.size, format: v.format, width: v.width, height: v.height }
+      });
+    }
+
+    const main = processed.variants.find(v => nameFor(v) === mainFilename);
+    await writeFile(mainFilename, main.buffer, {
+      contentType: processed.contentType,
+      metadata: {
+        variant: 'full',
+        format: processed.format,
+        width: main.width,
+        height: main.height,
+        originalWidth: processed.original.width,
+        originalHeight: processed.original.height,
+        originalName: req.file.originalname,
+        variants
+      }
+    });
 
-  uploadStream.on('error', err => {
+    const urls = {};
+    for (const v of variants) {
+      urls[v.size] = urls[v.size] || {};
+      urls[v.size][v.format] = fileUrl(v.filename);
+    }
+
+    res.status(200).json({
+      imageUrl: fileUrl(mainFilename),
+      filename: mainFilename,
+      width: main.width,
+      height: main.height,
+      variants: urls
+    });
+  } catch (err) {
     console.error('❌ Erro no upload GridFS:', err);
     res.status(500).json({ error: 'Falha ao salvar imagem' });
-  });
+  }
+});
+
+// Documentos de produto (fichas técnicas, guias de instalação) — somente PDF
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype !== 'application/pdf') {
+      return cb(new Error('Somente arquivos PDF são permitidos!'), false);
+    }
+    cb(null, true);
+  },
+  limits: { fileSize: 20 * 1024 * 1024 }
+});
+
+app.post('/api/upload/document', apiLimiter, verifyToken, requirePermission('products:write'), (req, res) => {
+  documentUpload.single('document')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    if (!gfsBucket) return res.status(503).json({ error: 'Banco de arquivos não pronto' });
+    if (!req.file) return res.status(400).json({ error: 'Nenhum documento enviado!' });
+
+    const filename = `doc_${Date.now()}_${contentHash(req.file.buffer)}${path.extname(req.file.originalname || '') || '.pdf'}`;
+    const uploadStream = gfsBucket.openUploadStream(filename, {
+      contentType: req.file.mimetype,
+      metadata: { contentType: req.file.mimetype, originalName: req.file.originalname }
+    });
+
+    uploadStream.end(req.file.buffer);
 
-  uploadStream.on('finish', () => {
-    const url = `${req.protocol}://${req.get('host')}/api/files/${uploadStream.filename}`;
-    res.status(200).json({ imageUrl: url, filename: uploadStream.filename });
+    uploadStream.on('error', err => {
+      console.error('❌ Erro no upload GridFS:', err);
+      res.status(500).json({ error: 'Falha ao salvar documento' });
+    });
+
+    uploadStream.on('finish', () => {
+      res.status(200).json({
+        url: `${req.protocol}://${req.get('host')}/api/files/${uploadStream.filename}`,
+        filename: uploadStream.filename,
+        originalName: req.file.originalname,
+        contentType: req.file.mimetype,
+        size: req.file.size
+      });
+    });
   });
 });
 
 /* =========================================================
    9) Download de imagem do GridFS
 ========================================================= */
+// Arquivos antigos (upload_<ts>.ext) podem ter o nome reaproveitado: cache curto + revalidação
+const FILE_CACHE_CONTROL      = 'public, max-age=3600';
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// ETag forte: o conteúdo de um arquivo no GridFS nunca muda depois de gravado
+function fileEtag(file) {
+  return `"${file._id}${file.md5 ? `-${file.md5}` : ''}"`;
+}
+
+// If-Range: só atende o Range se o validador ainda corresponder ao arquivo atual
+function ifRangeMatches(req, etag, lastModified) {
+  const ifRange = req.get('if-range');
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+  const since = Date.parse(ifRange);
+  return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+// GET/HEAD /api/files/:filename — ETag/Last-Modified com 304, Range (206) e cache imutável
 app.get('/api/files/:filename', async (req, res) => {
-  if (!gfsBucket) return res.status(503).json({ error: 'Serviço indisponível.' });
+  if (!gfsBucket) return res.status(503).json({ error: 'Banco de arquivos não pronto' });
 
   try {
     const filename = req.params.filename;
-    const files = await gfsBucket.find({ filename }).toArray();
-    if (!files.length) return res.status(404).json({ error: 'Arquivo não encontrado.' });
+    let [file] = await gfsBucket.find({ filename }).sort({ uploadDate: -1 }).limit(1).toArray();
+    if (!file) return res.status(404).json({ error: 'Arquivo não encontrado.' });
+
+    // Imagens processadas: ?size=thumb|card|full e ?format=webp|original,
+    // ou WebP automático quando o navegador anuncia suporte no Accept
+    if (file.metadata && Array.isArray(file.metadata.variants)) {
+      const { size = 'full', format } = req.query;
+      if (!IMAGE_SIZES[size]) {
+        return res.status(400).json({ error: `Tamanho inválido. Use: ${Object.keys(IMAGE_SIZES).join(', ')}.` });
+      }
+      if (format && !['webp', 'original'].includes(format)) {
+        return res.status(400).json({ error: 'Formato inválido. Use webp ou original.' });
+      }
+
+      const wanted = format || ((req.get('accept') || '').includes('image/webp') ? 'webp' : 'original');
+      if (!format) res.vary('Accept');
+
+      const variantName = pickVariantFilename(file, { size, format: wanted });
+      if (variantName && variantName !== file.filename) {
+        const [variant] = await gfsBucket.find({ filename: variantName }).limit(1).toArray();
+        if (variant) file = variant;
+      }
+    }
 
-    const file = files[0];
     const mime = file.contentType ||
       (file.metadata && (file.metadata.contentType || file.metadata.mime)) ||
       'application/octet-stream';
+    const etag = fileEtag(file);
+    const lastModified = file.uploadDate;
 
     res.set({
       'Access-Control-Allow-Origin': '*',
       'Cross-Origin-Resource-Policy': 'cross-origin',
-      'Cache-Control': 'public, max-age=3600',
-      'Content-Type': mime
+      'Cache-Control': isContentAddressed(filename) ? IMMUTABLE_CACHE_CONTROL : FILE_CACHE_CONTROL,
+      'Content-Type': mime,
+      'Accept-Ranges': 'bytes',
+      'ETag': etag,
+      'Last-Modified': lastModified.toUTCString()
     });
 
-    const downloadStream = gfsBucket.openDownloadStreamByName(filename);
-    downloadStream.on('error', () => res.status(404).json({ error: 'Arquivo não encontrado.' }));
+    // ?download=1 força o download com o nome original (ex.: fichas técnicas)
+    if (req.query.download) {
+      const original = (file.metadata && file.metadata.originalName) || filename;
+      res.attachment(original);
+    }
+
+    // If-None-Match / If-Modified-Since (req.fresh compara com ETag e Last-Modified acima)
+    if (req.fresh) return res.status(304).end();
+
+    let start = 0;
+    let end = file.length - 1;
+
+    if (req.get('range') && ifRangeMatches(req, etag, lastModified)) {
+      const ranges = req.range(file.length, { combine: true });
+
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${file.length}`);
+        return res.status(416).end();
+      }
+      // Cabeçalho malformado ou múltiplos intervalos: responde o arquivo inteiro (200)
+      if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1) {
+        ({ start, end } = ranges[0]);
+        res.status(206).set('Content-Range', `bytes ${start}-${end}/${file.length}`);
+      }
+    }
+
+    res.set('Content-Length', String(file.length ? end - start + 1 : 0));
+    if (req.method === 'HEAD' || !file.length) return res.end();
+
+    // end do GridFS é exclusivo
+    const downloadStream = gfsBucket.openDownloadStream(file._id, { start, end: end + 1 });
+    downloadStream.on('error', err => {
+      console.error('❌ Erro ao ler arquivo GridFS:', err);
+      if (!res.headersSent) return res.status(404).json({ error: 'Arquivo não encontrado.' });
+      res.destroy(err);
+    });
     downloadStream.pipe(res);
   } catch (err) {
     console.error('❌ Erro ao ler arquivo GridFS:', err);
@@ -214,6 +419,12 @@ app.use('/api/products', apiLimiter,  productRoutes);
 app.use('/api/posts',    apiLimiter,  postRoutes);
 app.use('/api/contact',  apiLimiter,  contactRoutes);
 app.use('/api/carousel', apiLimiter,  carouselRoutes);
+app.use('/api/users',    apiLimiter,  userRoutes);
+app.use('/api/categories', apiLimiter, categoryRoutes);
+app.use('/api/cross-references', apiLimiter, crossReferenceRoutes);
+app.use('/api/applications', apiLimiter, applicationRoutes);
+app.use('/api/storage',  apiLimiter,  storageRoutes);
+app.use('/api/quotes',   apiLimiter,  quoteRoutes);
 
 /* =========================================================
    11) 404 padrão
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCnpj, isValidCnpj, formatCnpj } = require('../utils/cnpj');
+
+test('normalizeCnpj remove pontuação e espaços e passa para maiúsculas', () => {
+  assert.equal(normalizeCnpj('11.222.333/0001-81'), '11222333000181');
+  assert.equal(normalizeCnpj(' 12.abc.345/01de-35 '), '12ABC34501DE35');
+  assert.equal(normalizeCnpj(undefined), '');
+});
+
+test('isValidCnpj aceita CNPJ numérico com dígitos corretos', () => {
+  assert.equal(isValidCnpj('11.222.333/0001-81'), true);
+  assert.equal(isValidCnpj('11222333000181'), true);
+});
+
+test('isValidCnpj aceita o formato alfanumérico', () => {
+  assert.equal(isValidCnpj('12.ABC.345/01DE-35'), true);
+  assert.equal(isValidCnpj('12abc34501de35'), true);
+});
+
+test('isValidCnpj recusa dígitos errados, tamanho errado e sequências repetidas', () => {
+  assert.equal(isValidCnpj('11.222.333/0001-82'), false);
+  assert.equal(isValidCnpj('12.ABC.345/01DE-36'), false);
+  assert.equal(isValidCnpj('1122233300018'), false);
+  assert.equal(isValidCnpj('11111111111111'), false);
+  assert.equal(isValidCnpj('12ABC34501DEAB'), false);
+  assert.equal(isValidCnpj(''), false);
+});
+
+test('formatCnpj aplica a máscara e devolve o valor original se o tamanho não bate', () => {
+  assert.equal(formatCnpj('11222333000181'), '11.222.333/0001-81');
+  assert.equal(formatCnpj('12abc34501de35'), '12.ABC.345/01DE-35');
+  assert.equal(formatCnpj('123'), '123');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'segredo-de-teste';
+
+const {
+  HONEYPOT_FIELD,
+  MIN_FILL_MS,
+  issueFormToken,
+  checkFormToken,
+  contentHash,
+  scoreContent,
+  assessContactMessage
+} = require('../utils/contactSpam');
+
+const OPENED_AT = Date.UTC(2026, 0, 1, 12, 0, 0);
+const SUBMITTED_AT = OPENED_AT + MIN_FILL_MS + 1000;
+
+function message(extra = {}) {
+  return {
+    nome: 'Maria',
+    email: 'maria@exemplo.com',
+    mensagem: 'Gostaria de um orçamento de filtros de óleo.',
+    formToken: issueFormToken(OPENED_AT),
+    ...extra
+  };
+}
+
+test('checkFormToken aceita o token emitido e devolve o jti', () => {
+  const { problem, id } = checkFormToken(issueFormToken(OPENED_AT), SUBMITTED_AT);
+  assert.equal(problem, null);
+  assert.ok(id);
+});
+
+test('checkFormToken recusa token ausente, inválido ou enviado rápido demais', () => {
+  assert.equal(checkFormToken(undefined).problem, 'token-ausente');
+  assert.equal(checkFormToken('abc.def.ghi').problem, 'token-invalido');
+  assert.equal(checkFormToken(issueFormToken(OPENED_AT), OPENED_AT + 500).problem, 'envio-rapido-demais');
+});
+
+test('checkFormToken não aceita um token de sessão assinado com o JWT_SECRET', () => {
+  const sessionToken = jwt.sign({ purpose: 'contact-form', t: OPENED_AT, jti: 'x' }, process.env.JWT_SECRET);
+  assert.equal(checkFormToken(sessionToken, SUBMITTED_AT).problem, 'token-invalido');
+});
+
+test('contentHash ignora acentos, caixa e espaços', () => {
+  assert.equal(contentHash('Orçamento   de FILTROS'), contentHash('orcamento de filtros'));
+});
+
+test('scoreContent pontua links e palavras bloqueadas', () => {
+  assert.equal(scoreContent({ nome: 'Ana', mensagem: 'Veja https://exemplo.com' }).score, 1);
+  assert.equal(scoreContent({ nome: 'Ana', mensagem: 'http://a.com http://b.com' }).score, 4);
+  assert.deepEqual(scoreContent({ nome: 'Ana', mensagem: 'Promoção de CASSINO' }).reasons, ['palavra:cassino']);
+  assert.ok(scoreContent({ nome: 'www.spam.com', mensagem: 'oi' }).reasons.includes('link-no-nome'));
+});
+
+test('assessContactMessage deixa passar mensagem legítima', async () => {
+  const result = await assessContactMessage(message(), { now: SUBMITTED_AT });
+  assert.equal(result.isSpam, false);
+  assert.deepEqual(result.reasons, []);
+  assert.ok(result.formTokenId);
+});
+
+test('assessContactMessage marca o honeypot preenchido como spam', async () => {
+  const result = await assessContactMessage(message({ [HONEYPOT_FIELD]: 'http://spam' }), { now: SUBMITTED_AT });
+  assert.equal(result.isSpam, true);
+  assert.ok(result.reasons.includes('honeypot'));
+});
+
+test('assessContactMessage marca envio rápido demais como spam', async () => {
+  const result = await assessContactMessage(message(), { now: OPENED_AT + 1000 });
+  assert.equal(result.isSpam, true);
+  assert.ok(result.reasons.includes('envio-rapido-demais'));
+});
+
+test('assessContactMessage marca token reutilizado e duplicata como spam', async () => {
+  const reused = await assessContactMessage(message(), { now: SUBMITTED_AT, isTokenUsed: async () => true });
+  assert.equal(reused.isSpam, true);
+  assert.ok(reused.reasons.includes('token-reutilizado'));
+
+  const duplicate = await assessContactMessage(message(), { now: SUBMITTED_AT, findDuplicate: async () => true });
+  assert.equal(duplicate.isSpam, true);
+  assert.ok(duplicate.reasons.includes('duplicada'));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPublicAddress, sniffImageType } = require('../utils/imageProxy');
+
+test('isPublicAddress recusa redes privadas, loopback e link-local', () => {
+  for (const ip of ['10.1.2.3', '172.16.0.1', '192.168.0.10', '127.0.0.1', '0.0.0.0', '100.64.0.1']) {
+    assert.equal(isPublicAddress(ip), false, ip);
+  }
+});
+
+test('isPublicAddress recusa o endereço de metadados das clouds', () => {
+  assert.equal(isPublicAddress('169.254.169.254'), false);
+});
+
+test('isPublicAddress recusa loopback, ULA e link-local IPv6', () => {
+  for (const ip of ['::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1']) {
+    assert.equal(isPublicAddress(ip), false, ip);
+  }
+});
+
+test('isPublicAddress avalia IPv4 mapeado em IPv6 pelo IPv4', () => {
+  assert.equal(isPublicAddress('::ffff:127.0.0.1'), false);
+  assert.equal(isPublicAddress('::ffff:169.254.169.254'), false);
+  assert.equal(isPublicAddress('::ffff:8.8.8.8'), true);
+});
+
+test('isPublicAddress aceita endereços públicos', () => {
+  assert.equal(isPublicAddress('8.8.8.8'), true);
+  assert.equal(isPublicAddress('151.101.1.69'), true);
+  assert.equal(isPublicAddress('2606:4700:4700::1111'), true);
+});
+
+test('isPublicAddress recusa o que não é IP', () => {
+  assert.equal(isPublicAddress('localhost'), false);
+  assert.equal(isPublicAddress(''), false);
+});
+
+test('sniffImageType identifica pela assinatura, não pela extensão', () => {
+  assert.equal(sniffImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+  assert.equal(sniffImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+});
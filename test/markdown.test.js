@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, htmlToText } = require('../utils/markdown');
+
+test('renderMarkdown gera HTML a partir do Markdown', () => {
+  const html = renderMarkdown('# Título\n\nTexto **forte** e _ênfase_.');
+  assert.match(html, /<h2>Título<\/h2>/);
+  assert.match(html, /<strong>forte<\/strong>/);
+  assert.match(html, /<em>ênfase<\/em>/);
+});
+
+test('renderMarkdown remove scripts, eventos e links javascript:', () => {
+  const html = renderMarkdown('<script>alert(1)</script>\n\n<p onclick="x()">oi</p>\n\n[clique](javascript:alert(1))');
+  assert.doesNotMatch(html, /<script/i);
+  assert.doesNotMatch(html, /onclick/i);
+  assert.doesNotMatch(html, /javascript:/i);
+  assert.match(html, /oi/);
+});
+
+test('renderMarkdown abre links externos em nova aba sem repassar o opener', () => {
+  const html = renderMarkdown('[site](https://exemplo.com)');
+  assert.match(html, /rel="noopener noreferrer nofollow"/);
+  assert.match(html, /target="_blank"/);
+});
+
+test('renderMarkdown aponta imagens do GridFS para a API e externas para o proxy', () => {
+  const own = renderMarkdown('![filtro](/api/files/filtro%201.png)', { baseUrl: 'https://api.exemplo.com/' });
+  assert.match(own, /src="https:\/\/api\.exemplo\.com\/api\/files\/filtro%201\.png"/);
+  assert.match(own, /loading="lazy"/);
+
+  const external = renderMarkdown('![x](https://cdn.exemplo.com/a.jpg)');
+  assert.match(external, /src="\/api\/image-proxy\?url=https%3A%2F%2Fcdn\.exemplo\.com%2Fa\.jpg"/);
+});
+
+test('renderMarkdown descarta imagens com src inválido', () => {
+  assert.doesNotMatch(renderMarkdown('![x](data:image/png;base64,AAAA)'), /<img/);
+  assert.doesNotMatch(renderMarkdown('<img src="javascript:alert(1)">'), /<img/);
+});
+
+test('htmlToText remove as tags e mantém o texto codificado', () => {
+  assert.equal(htmlToText('<p>Filtro &lt;óleo&gt; &amp; ar</p>\n<p>novo</p>'), 'Filtro &lt;óleo&gt; &amp; ar novo');
+  assert.equal(htmlToText('<p>a&nbsp;b</p>'), 'a b');
+});
+
+test('htmlToText é idempotente', () => {
+  const once = htmlToText('<p>1 &lt; 2 &amp;&amp; "x"</p>');
+  assert.equal(htmlToText(once), once);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice } = require('../utils/productImport');
+
+test('parsePrice aceita vírgula ou ponto como decimal', () => {
+  assert.equal(parsePrice('1234,56'), '1234.56');
+  assert.equal(parsePrice('1234.56'), '1234.56');
+  assert.equal(parsePrice('10'), '10');
+  assert.equal(parsePrice(' 99,90 '), '99.90');
+});
+
+test('parsePrice usa o último separador como decimal quando há os dois', () => {
+  assert.equal(parsePrice('1.234,56'), '1234.56');
+  assert.equal(parsePrice('1,234.56'), '1234.56');
+  assert.equal(parsePrice('1.234.567,89'), '1234567.89');
+  assert.equal(parsePrice('1,234,567.8'), '1234567.8');
+});
+
+test('parsePrice trata separador repetido como milhar', () => {
+  assert.equal(parsePrice('1.234.567'), '1234567');
+  assert.equal(parsePrice('1,234,567'), '1234567');
+});
+
+test('parsePrice recusa valores ambíguos ou inválidos', () => {
+  for (const value of ['1,23.45', '12,34,56', '1.2.3', 'abc', '.5', '5.', 'R$ 10', '-5', '1e3']) {
+    assert.equal(parsePrice(value), null, value);
+  }
+});
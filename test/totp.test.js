@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+
+// Segredo ASCII "12345678901234567890" da RFC 6238, em base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('generateCode bate com os vetores da RFC 6238 (SHA-1, 6 dígitos)', () => {
+  assert.equal(generateCode(RFC_SECRET, 59 * 1000), '287082');
+  assert.equal(generateCode(RFC_SECRET, 1111111109 * 1000), '081804');
+  assert.equal(generateCode(RFC_SECRET, 1234567890 * 1000), '005924');
+});
+
+test('verifyCode aceita a janela atual e as vizinhas, e devolve o step', () => {
+  const now = 1234567890 * 1000;
+  const step = Math.floor(now / 30000);
+
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now), { now }), step);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 30000), { now }), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + 30000), { now }), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 90000), { now }), null);
+});
+
+test('verifyCode recusa código já usado (lastUsedStep) e formatos inválidos', () => {
+  const now = 1234567890 * 1000;
+  const code = generateCode(RFC_SECRET, now);
+  const step = verifyCode(RFC_SECRET, code, { now });
+
+  assert.equal(verifyCode(RFC_SECRET, code, { now, lastUsedStep: step }), null);
+  assert.equal(verifyCode(RFC_SECRET, code, { now, lastUsedStep: step - 1 }), step);
+  assert.equal(verifyCode(RFC_SECRET, '12345', { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, 'abcdef', { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, '', { now }), null);
+});
+
+test('verifyCode ignora espaços no código digitado', () => {
+  const now = 59 * 1000;
+  assert.notEqual(verifyCode(RFC_SECRET, '287 082', { now }), null);
+});
+
+test('generateSecret gera 160 bits em base32 utilizáveis', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  const now = Date.now();
+  assert.notEqual(verifyCode(secret, generateCode(secret, now), { now }), null);
+});
+
+test('buildOtpauthUri monta a URI com emissor e parâmetros', () => {
+  const uri = new URL(buildOtpauthUri(RFC_SECRET, 'maria', 'Total Filter'));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Total Filter:maria');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'Total Filter');
+  assert.equal(uri.searchParams.get('digits'), '6');
+});
+
+test('códigos de recuperação: formato xxxx-xxxx e normalização', () => {
+  const codes = generateRecoveryCodes(5);
+  assert.equal(codes.length, 5);
+  codes.forEach(c => assert.match(c, /^[a-f0-9]{4}-[a-f0-9]{4}$/));
+  assert.equal(normalizeRecoveryCode(' AB12-cd34 '), 'ab12cd34');
+});
@@ -0,0 +1,65 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const { stringify } = require('csv-stringify');
+const { escapeFormula } = require('./spreadsheet');
+
+// Colunas exportadas — os mesmos nomes aceitos pela importação (utils/productImport.js)
+const EXPORT_COLUMNS = [
+  { key: 'code',        header: 'code',        width: 16 },
+  { key: 'name',        header: 'name',        width: 40 },
+  { key: 'description', header: 'description', width: 60 },
+  { key: 'price',       header: 'price',       width: 12 },
+  { key: 'imageUrl',    header: 'imageUrl',    width: 50 },
+  { key: 'isLaunch',    header: 'isLaunch',    width: 10 },
+  { key: 'categories',  header: 'categories',  width: 30 }
+];
+
+function toRow(product) {
+  return {
+    code: product.code || '',
+    name: product.name,
+    description: product.description,
+    price: product.price || '',
+    imageUrl: product.imageUrl,
+    isLaunch: product.isLaunch ? 'true' : 'false',
+    categories: (product.categories || []).map(c => c.slug).filter(Boolean).join(';')
+  };
+}
+
+// Escreve o CSV direto na resposta, produto a produto (cursor do Mongoose).
+// Separador ";" + BOM para abrir corretamente no Excel em português.
+// Rejeita se o cliente desconectar no meio (o cursor é fechado).
+async function streamCsv(cursor, output) {
+  const csv = stringify({
+    header: true,
+    bom: true,
+    delimiter: ';',
+    cast: { string: escapeFormula },
+    columns: EXPORT_COLUMNS.map(c => ({ key: c.key, header: c.header }))
+  });
+
+  const rows = Readable.from((async function* () {
+    for await (const product of cursor) yield toRow(product);
+  })());
+
+  await pipeline(rows, csv, output);
+}
+
+// Escreve o XLSX em streaming (sem montar a planilha inteira em memória)
+async function streamXlsx(cursor, output) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const sheet = workbook.addWorksheet('Produtos');
+  sheet.columns = EXPORT_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const product of cursor) {
+    sheet.addRow(toRow(product)).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+module.exports = { EXPORT_COLUMNS, streamCsv, streamXlsx };
@@ -0,0 +1,158 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { readImageFromUrl } = require('./gridfs');
+
+const LOGO_PATH = path.join(__dirname, '..', 'public', 'imagens', 'total-filter-logo.png');
+
+// A4 em pontos, grade de 2 colunas x 3 linhas por página
+const PAGE = { margin: 40, footer: 30 };
+const GRID = { columns: 2, rows: 3, gap: 16 };
+const BRAND_COLOR = '#c8102e';
+
+function drawFooter(doc, pageNumber) {
+  const bottom = doc.page.height - PAGE.margin + 10;
+  // Sem zerar a margem inferior o PDFKit abriria outra página para o rodapé
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+
+  doc.save()
+    .fontSize(8)
+    .fillColor('#888888')
+    .text(`Total Filter — Catálogo de Produtos`, PAGE.margin, bottom, { lineBreak: false })
+    .text(`Página ${pageNumber}`, PAGE.margin, bottom, {
+      width: doc.page.width - PAGE.margin * 2,
+      align: 'right',
+      lineBreak: false
+    })
+    .restore();
+
+  doc.page.margins.bottom = bottomMargin;
+  doc.x = PAGE.margin;
+  doc.y = PAGE.margin;
+}
+
+function drawCover(doc, { title, subtitle, total }) {
+  const width = doc.page.width - PAGE.margin * 2;
+
+  try {
+    doc.image(LOGO_PATH, PAGE.margin + width / 4, 180, { width: width / 2 });
+  } catch (err) {
+    console.error('Logo do catálogo indisponível:', err.message);
+  }
+
+  doc.fillColor(BRAND_COLOR).fontSize(30).text(title, PAGE.margin, 420, { width, align: 'center' });
+  if (subtitle) {
+    doc.moveDown(0.5).fillColor('#333333').fontSize(14).text(subtitle, { width, align: 'center' });
+  }
+  doc.moveDown(2)
+    .fillColor('#666666')
+    .fontSize(11)
+    .text(`${total} produto(s) • Gerado em ${new Date().toLocaleDateString('pt-BR')}`, { width, align: 'center' });
+}
+
+function drawGroupHeading(doc, text) {
+  const width = doc.page.width - PAGE.margin * 2;
+  doc.fillColor(BRAND_COLOR).fontSize(18).text(text, PAGE.margin, PAGE.margin, { width });
+  doc.moveTo(PAGE.margin, doc.y + 4).lineTo(PAGE.margin + width, doc.y + 4)
+    .lineWidth(1).strokeColor(BRAND_COLOR).stroke();
+  return doc.y + 14;
+}
+
+async function drawCard(doc, product, x, y, width, height) {
+  const padding = 8;
+  const imageHeight = Math.round(height * 0.55);
+
+  doc.roundedRect(x, y, width, height, 6).lineWidth(0.5).strokeColor('#cccccc').stroke();
+
+  let drawn = false;
+  try {
+    const image = await readImageFromUrl(product.imageUrl, { size: 'card' });
+    if (image) {
+      doc.image(image, x + padding, y + padding, {
+        fit: [width - padding * 2, imageHeight - padding],
+        align: 'center',
+        valign: 'center'
+      });
+      drawn = true;
+    }
+  } catch (err) {
+    // Formato não suportado pelo PDFKit (ex.: WebP/GIF) ou arquivo corrompido
+    drawn = false;
+  }
+  if (!drawn) {
+    doc.save()
+      .rect(x + padding, y + padding, width - padding * 2, imageHeight - padding)
+      .fillColor('#f2f2f2').fill()
+      .fillColor('#999999').fontSize(9)
+      .text('Imagem indisponível', x + padding, y + imageHeight / 2, { width: width - padding * 2, align: 'center' })
+      .restore();
+  }
+
+  const textWidth = width - padding * 2;
+  let textY = y + imageHeight + 6;
+
+  doc.fillColor('#111111').fontSize(11).font('Helvetica-Bold')
+    .text(product.name, x + padding, textY, { width: textWidth, height: 28, ellipsis: true });
+  textY = doc.y + 2;
+
+  if (product.code) {
+    doc.fillColor(BRAND_COLOR).fontSize(9).font('Helvetica-Bold')
+      .text(`Código: ${product.code}`, x + padding, textY, { width: textWidth, lineBreak: false });
+    textY += 13;
+  }
+
+  doc.fillColor('#444444').fontSize(8).font('Helvetica')
+    .text(product.description || '', x + padding, textY, {
+      width: textWidth,
+      height: y + height - textY - padding,
+      ellipsis: true
+    });
+}
+
+// Gera o catálogo em PDF e escreve em output (ex.: a resposta HTTP).
+// groups: [{ title, products: [...] }]
+async function renderCatalogPdf(output, { title = 'Catálogo de Produtos', subtitle, groups }) {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE.margin, autoFirstPage: true, info: { Title: title } });
+  doc.pipe(output);
+
+  let pageNumber = 1;
+  doc.on('pageAdded', () => {
+    pageNumber++;
+    drawFooter(doc, pageNumber);
+  });
+
+  const total = groups.reduce((sum, g) => sum + g.products.length, 0);
+  drawCover(doc, { title, subtitle, total });
+
+  const usableWidth = doc.page.width - PAGE.margin * 2;
+  const cardWidth = (usableWidth - GRID.gap * (GRID.columns - 1)) / GRID.columns;
+
+  for (const group of groups) {
+    if (!group.products.length) continue;
+
+    doc.addPage();
+    let top = drawGroupHeading(doc, group.title);
+    let cardHeight = (doc.page.height - PAGE.margin - PAGE.footer - top - GRID.gap * (GRID.rows - 1)) / GRID.rows;
+
+    for (const [index, product] of group.products.entries()) {
+      const slot = index % (GRID.columns * GRID.rows);
+
+      if (index > 0 && slot === 0) {
+        doc.addPage();
+        top = drawGroupHeading(doc, `${group.title} (continuação)`);
+        cardHeight = (doc.page.height - PAGE.margin - PAGE.footer - top - GRID.gap * (GRID.rows - 1)) / GRID.rows;
+      }
+
+      const col = slot % GRID.columns;
+      const row = Math.floor(slot / GRID.columns);
+      const x = PAGE.margin + col * (cardWidth + GRID.gap);
+      const y = top + row * (cardHeight + GRID.gap);
+
+      await drawCard(doc, product, x, y, cardWidth, cardHeight);
+    }
+  }
+
+  doc.end();
+}
+
+module.exports = { renderCatalogPdf };
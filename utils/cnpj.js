@@ -0,0 +1,36 @@
+// Validação de CNPJ, incluindo o formato alfanumérico (12 caracteres A-Z/0-9 + 2 dígitos).
+// No cálculo dos dígitos verificadores cada caractere vale (código ASCII - 48),
+// o que mantém o resultado idêntico ao do CNPJ numérico tradicional.
+
+const WEIGHTS_1 = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+const WEIGHTS_2 = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Remove pontuação e espaços: "12.ABC.345/01DE-35" → "12ABC34501DE35"
+function normalizeCnpj(value) {
+  return String(value || '').toUpperCase().replace(/[\s./-]/g, '');
+}
+
+function checkDigit(base, weights) {
+  const sum = weights.reduce((acc, weight, i) => acc + (base.charCodeAt(i) - 48) * weight, 0);
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+}
+
+function isValidCnpj(value) {
+  const cnpj = normalizeCnpj(value);
+  if (!/^[A-Z0-9]{12}\d{2}$/.test(cnpj)) return false;
+  if (/^(\d)\1{13}$/.test(cnpj)) return false;
+
+  const first = checkDigit(cnpj.slice(0, 12), WEIGHTS_1);
+  const second = checkDigit(cnpj.slice(0, 12) + first, WEIGHTS_2);
+  return cnpj.endsWith(`${first}${second}`);
+}
+
+// "11222333000181" → "11.222.333/0001-81"
+function formatCnpj(value) {
+  const cnpj = normalizeCnpj(value);
+  if (cnpj.length !== 14) return value;
+  return `${cnpj.slice(0, 2)}.${cnpj.slice(2, 5)}.${cnpj.slice(5, 8)}/${cnpj.slice(8, 12)}-${cnpj.slice(12)}`;
+}
+
+module.exports = { normalizeCnpj, isValidCnpj, formatCnpj };
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Camadas anti-spam do formulário de contato. Cada sinal soma pontos; a mensagem
+// com pontuação >= CONTACT_SPAM_THRESHOLD é salva com status "spam" (nunca descartada).
+//
+//   CONTACT_MIN_FILL_SECONDS  tempo mínimo entre abrir e enviar o formulário (padrão 3)
+//   CONTACT_SPAM_THRESHOLD    pontuação que marca como spam (padrão 5)
+//   CONTACT_BLOCKLIST         palavras extras bloqueadas, separadas por vírgula
+//   CONTACT_DUPLICATE_HOURS   janela de detecção de mensagens repetidas (padrão 24)
+
+const FORM_TOKEN_PURPOSE = 'contact-form';
+const FORM_TOKEN_TTL = '2h';
+const MIN_FILL_MS = (parseFloat(process.env.CONTACT_MIN_FILL_SECONDS) || 3) * 1000;
+const SPAM_THRESHOLD = parseInt(process.env.CONTACT_SPAM_THRESHOLD, 10) || 5;
+const DUPLICATE_WINDOW_MS = (parseFloat(process.env.CONTACT_DUPLICATE_HOURS) || 24) * 60 * 60 * 1000;
+
+// Campo invisível no formulário: pessoas não preenchem, bots costumam preencher
+const HONEYPOT_FIELD = 'website';
+
+// Sinais que, sozinhos, já classificam como spam
+const HARD_FAIL = 10;
+
+const DEFAULT_BLOCKLIST = [
+  'viagra', 'cialis', 'casino', 'cassino', 'bitcoin', 'crypto', 'forex', 'porn',
+  'seo service', 'backlinks', 'guest post', 'loan offer', 'bet365'
+];
+
+const BLOCKLIST = [
+  ...DEFAULT_BLOCKLIST,
+  ...String(process.env.CONTACT_BLOCKLIST || '').split(',')
+]
+  .map(w => w.trim().toLowerCase())
+  .filter(Boolean);
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// Chave própria dos tokens do formulário, derivada do JWT_SECRET: um token público
+// nunca é aceito como token de sessão (nem o contrário)
+function formTokenKey() {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(FORM_TOKEN_PURPOSE).digest();
+}
+
+// Token assinado com o horário em que o formulário foi aberto. O jti identifica o
+// token para recusar um segundo envio com ele.
+function issueFormToken(now = Date.now()) {
+  return jwt.sign(
+    { purpose: FORM_TOKEN_PURPOSE, t: now },
+    formTokenKey(),
+    { expiresIn: FORM_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+// Confere o token do formulário. Retorna { problem, id }: problem é o motivo da
+// recusa (null se válido) e id o jti do token, quando a assinatura confere.
+function checkFormToken(token, now = Date.now()) {
+  if (!token) return { problem: 'token-ausente', id: null };
+
+  let payload;
+  try {
+    payload = jwt.verify(String(token), formTokenKey(), { algorithms: ['HS256'] });
+  } catch (err) {
+    return { problem: err.name === 'TokenExpiredError' ? 'token-expirado' : 'token-invalido', id: null };
+  }
+
+  if (payload.purpose !== FORM_TOKEN_PURPOSE || typeof payload.t !== 'number' || !payload.jti) {
+    return { problem: 'token-invalido', id: null };
+  }
+  if (now - payload.t < MIN_FILL_MS) return { problem: 'envio-rapido-demais', id: payload.jti };
+  return { problem: null, id: payload.jti };
+}
+
+function normalizeContent(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // remove acentos
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Hash do conteúdo normalizado, usado na detecção de duplicatas
+function contentHash(mensagem) {
+  return crypto.createHash('sha256').update(normalizeContent(mensagem)).digest('hex');
+}
+
+// Pontuação do conteúdo: links e palavras bloqueadas
+function scoreContent({ nome, mensagem }) {
+  const reasons = [];
+  let score = 0;
+
+  const links = String(mensagem || '').match(LINK_PATTERN) || [];
+  if (links.length) {
+    // Um link pode ser legítimo; vários são típicos de spam
+    score += links.length === 1 ? 1 : 2 * links.length;
+    reasons.push(`links:${links.length}`);
+  }
+
+  if ((String(nome || '').match(LINK_PATTERN) || []).length) {
+    score += 5;
+    reasons.push('link-no-nome');
+  }
+
+  const text = normalizeContent(`${nome} ${mensagem}`);
+  for (const word of BLOCKLIST) {
+    if (text.includes(word)) {
+      score += 3;
+      reasons.push(`palavra:${word}`);
+    }
+  }
+
+  return { score, reasons };
+}
+
+// Avalia uma mensagem recebida. findDuplicate(hash, since) deve resolver true se já
+// existir mensagem igual (mesmo e-mail ou IP) desde `since`; isTokenUsed(id) deve
+// resolver true se o token do formulário já foi usado em outro envio.
+// Retorna { isSpam, score, reasons, contentHash, formTokenId }.
+async function assessContactMessage(body, { findDuplicate, isTokenUsed, now = Date.now() } = {}) {
+  const reasons = [];
+  let score = 0;
+
+  if (body[HONEYPOT_FIELD]) {
+    score += HARD_FAIL;
+    reasons.push('honeypot');
+  }
+
+  const formToken = checkFormToken(body.formToken, now);
+  if (formToken.problem) {
+    score += HARD_FAIL;
+    reasons.push(formToken.problem);
+  }
+  if (formToken.id && isTokenUsed && await isTokenUsed(formToken.id)) {
+    score += HARD_FAIL;
+    reasons.push('token-reutilizado');
+  }
+
+  const content = scoreContent(body);
+  score += content.score;
+  reasons.push(...content.reasons);
+
+  const hash = contentHash(body.mensagem);
+  if (findDuplicate && await findDuplicate(hash, new Date(now - DUPLICATE_WINDOW_MS))) {
+    score += HARD_FAIL;
+    reasons.push('duplicada');
+  }
+
+  return { isSpam: score >= SPAM_THRESHOLD, score, reasons, contentHash: hash, formTokenId: formToken.id };
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  HARD_FAIL,
+  MIN_FILL_MS,
+  issueFormToken,
+  checkFormToken,
+  contentHash,
+  scoreContent,
+  assessContactMessage
+};
@@ -0,0 +1,41 @@
+const Product = require('../models/Product');
+const Carousel = require('../models/Carousel');
+const Post = require('../models/Post');
+const { gridfsFilenameFromUrl, deleteFilesByUrls } = require('./gridfs');
+const { escapeRegex } = require('./search');
+
+// Campos que podem apontar para /api/files/<filename>, por coleção
+const REFERENCE_FIELDS = [
+  { model: Product, fields: ['imageUrl', 'images.url', 'documents.url'] },
+  { model: Carousel, fields: ['imageUrl', 'fullImageUrl'] },
+  { model: Post, fields: ['coverImage.url', 'content', 'contentHtml'] }
+];
+
+// URL do arquivo em qualquer ponto do texto (campo de URL ou HTML/Markdown),
+// sem casar com nomes que apenas começam igual
+function referencePattern(filename) {
+  return new RegExp(`/api/files/${escapeRegex(filename)}(?:$|[?#"'\\s)<])`);
+}
+
+// true se algum cadastro ainda usa o arquivo
+async function isFileReferenced(filename) {
+  const pattern = referencePattern(filename);
+  for (const { model, fields } of REFERENCE_FIELDS) {
+    const filter = { $or: fields.map(field => ({ [field]: pattern })) };
+    if (await model.exists(filter)) return true;
+  }
+  return false;
+}
+
+// Remove do GridFS apenas os arquivos das URLs que nenhum cadastro usa mais.
+// Chamar depois de gravar/remover o documento que deixou de usá-los.
+async function deleteUnreferencedFiles(urls) {
+  const candidates = [...new Set(urls.map(gridfsFilenameFromUrl).filter(Boolean))];
+  const unused = [];
+  for (const filename of candidates) {
+    if (!(await isFileReferenced(filename))) unused.push(`/api/files/${encodeURIComponent(filename)}`);
+  }
+  return deleteFilesByUrls(unused);
+}
+
+module.exports = { isFileReferenced, deleteUnreferencedFiles };
@@ -1,16 +1,20 @@
 const jwt = require('jsonwebtoken');
 
-// Função para gerar um token JWT
-const generateToken = (user) => {
+// Validade do access token (curta: a sessão é renovada via refresh token)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Função para gerar um token JWT de acesso vinculado a uma sessão
+const generateToken = (user, sessionId) => {
   return jwt.sign(
     {
       id: user._id, // ID do usuário no MongoDB
       username: user.username, // Nome de usuário
-      role: user.role // Permissão (admin/user)
+      role: user.role, // Papel (admin/editor/support)
+      sid: String(sessionId) // Sessão que originou o token (permite revogação)
     },
-    process.env.SECRET_KEY, // Chave secreta armazenada no arquivo .env
+    process.env.JWT_SECRET, // Chave secreta armazenada no arquivo .env
     {
-      expiresIn: '1h' // Definindo validade do token (1 hora)
+      expiresIn: ACCESS_TOKEN_TTL
     }
   );
 };
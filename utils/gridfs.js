@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const BUCKET_NAME = 'uploads';
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+function getBucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+}
+
+// Nomes gerados a partir do conteúdo (<prefixo>_<ts>_<hash>[__variante].<ext>) nunca
+// são reaproveitados para outro arquivo: podem ser cacheados como imutáveis
+const CONTENT_HASH_LENGTH = 16;
+const CONTENT_ADDRESSED_PATTERN = new RegExp(`_[0-9a-f]{${CONTENT_HASH_LENGTH}}(__[a-z]+)?\\.[a-z0-9]+$`, 'i');
+
+// Trecho do SHA-256 do conteúdo usado nos nomes de upload
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex').slice(0, CONTENT_HASH_LENGTH);
+}
+
+function isContentAddressed(filename) {
+  return CONTENT_ADDRESSED_PATTERN.test(filename || '');
+}
+
+// Último segmento de uma URL de arquivo (…/api/files/<filename>)
+function extractFilenameFromUrl(url) {
+  if (!url) return null;
+  const clean = String(url).split(/[?#]/)[0];
+  const parts = clean.split('/');
+  return decodeURIComponent(parts[parts.length - 1]) || null;
+}
+
+// Nome do arquivo no GridFS se a URL apontar para /api/files/<filename>; senão null
+function gridfsFilenameFromUrl(url) {
+  if (!url) return null;
+  let pathname;
+  try {
+    pathname = new URL(url, 'http://local').pathname;
+  } catch {
+    return null;
+  }
+  return pathname.startsWith('/api/files/') ? extractFilenameFromUrl(pathname) : null;
+}
+
+// Remove do GridFS os arquivos referenciados pelas URLs (ignora URLs externas
+// e arquivos que já não existem). Retorna quantos arquivos foram apagados.
+async function deleteFilesByUrls(urls) {
+  const filenames = [...new Set(urls.map(gridfsFilenameFromUrl).filter(Boolean))];
+  if (!filenames.length) return 0;
+
+  // Inclui as variantes de imagem (thumb/card/full) geradas no upload
+  const bucket = getBucket();
+  const files = await bucket.find({
+    $or: [{ filename: { $in: filenames } }, { 'metadata.parent': { $in: filenames } }]
+  }).toArray();
+  for (const file of files) {
+    await bucket.delete(file._id);
+  }
+  return files.length;
+}
+
+// Grava um buffer no GridFS; resolve com o nome do arquivo salvo
+function writeFile(filename, buffer, { contentType, metadata = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const uploadStream = getBucket().openUploadStream(filename, {
+      contentType,
+      metadata: { contentType, ...metadata }
+    });
+    uploadStream.once('error', reject);
+    uploadStream.once('finish', () => resolve(uploadStream.filename));
+    uploadStream.end(buffer);
+  });
+}
+
+// Escolhe a variante de uma imagem processada no upload.
+// size: thumb|card|full   format: 'webp' ou 'original'
+// Retorna o nome do arquivo da variante, ou null se a imagem não tiver variantes.
+function pickVariantFilename(file, { size = 'full', format = 'original' } = {}) {
+  const meta = file.metadata || {};
+  if (!Array.isArray(meta.variants)) return null;
+
+  const wanted = format === 'original' ? meta.format : format;
+  const variant = meta.variants.find(v => v.size === size && v.format === wanted) ||
+    meta.variants.find(v => v.size === size && v.format === meta.format);
+  return variant ? variant.filename : null;
+}
+
+// Lê um arquivo do GridFS para memória; retorna null se não existir
+async function readFile(filename) {
+  const files = await getBucket().find({ filename }).limit(1).toArray();
+  if (!files.length) return null;
+
+  const chunks = [];
+  for await (const chunk of getBucket().openDownloadStream(files[0]._id)) chunks.push(chunk);
+  return { file: files[0], buffer: Buffer.concat(chunks) };
+}
+
+// Lê a imagem de um produto a partir da URL salva: GridFS (/api/files/...) ou
+// arquivo estático em public/ (ex.: /imagens/placeholder.png). Retorna Buffer ou null.
+// Com size, usa a variante gerada no upload (no formato original) quando existir.
+async function readImageFromUrl(url, { size = null } = {}) {
+  if (!url) return null;
+
+  let pathname;
+  try {
+    pathname = new URL(url, 'http://local').pathname;
+  } catch {
+    return null;
+  }
+
+  const gridfsName = gridfsFilenameFromUrl(pathname);
+  if (gridfsName) {
+    const result = await readFile(gridfsName);
+    if (!result) return null;
+
+    const variantName = size && pickVariantFilename(result.file, { size });
+    if (variantName && variantName !== gridfsName) {
+      const variant = await readFile(variantName);
+      if (variant) return variant.buffer;
+    }
+    return result.buffer;
+  }
+
+  const localPath = path.join(PUBLIC_DIR, decodeURIComponent(pathname));
+  if (!localPath.startsWith(PUBLIC_DIR + path.sep)) return null;
+  try {
+    return await fs.promises.readFile(localPath);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  BUCKET_NAME,
+  getBucket,
+  contentHash,
+  isContentAddressed,
+  extractFilenameFromUrl,
+  gridfsFilenameFromUrl,
+  deleteFilesByUrls,
+  writeFile,
+  pickVariantFilename,
+  readFile,
+  readImageFromUrl
+};
@@ -0,0 +1,68 @@
+const sharp = require('sharp');
+
+// Tamanhos gerados para cada imagem enviada (largura máxima, sem ampliar)
+const IMAGE_SIZES = {
+  thumb: 200,
+  card: 600,
+  full: 1600
+};
+
+// Formatos que o sharp consegue redimensionar; os demais (SVG, GIF animado…) ficam como vieram
+const PROCESSABLE_TYPES = {
+  'image/jpeg': { format: 'jpeg', ext: '.jpg' },
+  'image/png':  { format: 'png',  ext: '.png' },
+  'image/webp': { format: 'webp', ext: '.webp' }
+};
+
+const ENCODER_OPTIONS = {
+  jpeg: { quality: 82, mozjpeg: true },
+  png:  { compressionLevel: 9, palette: true },
+  webp: { quality: 80 }
+};
+
+// Imagens gigantes (ex.: banners de 4000px) são aceitas, mas com limite de pixels
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+function canProcess(mimetype) {
+  return Boolean(PROCESSABLE_TYPES[mimetype]);
+}
+
+async function render(buffer, width, format) {
+  // rotate() aplica a orientação do EXIF; sem withMetadata() o sharp descarta EXIF/GPS
+  const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .toFormat(format, ENCODER_OPTIONS[format])
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+// Gera as variantes de uma imagem.
+// Retorna { original: { width, height }, ext, contentType, variants: [{ size, format, buffer, width, height, contentType }] }
+// A variante "full" no formato original é o arquivo principal (o que /api/files/<nome> serve por padrão).
+async function processImage(buffer, mimetype) {
+  const source = PROCESSABLE_TYPES[mimetype];
+  if (!source) throw new Error(`Tipo de imagem não processável: ${mimetype}`);
+
+  const meta = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  const formats = source.format === 'webp' ? ['webp'] : [source.format, 'webp'];
+
+  const variants = [];
+  for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+    for (const format of formats) {
+      const rendered = await render(buffer, width, format);
+      variants.push({ size, format, contentType: `image/${format}`, ...rendered });
+    }
+  }
+
+  return {
+    original: { width: meta.width, height: meta.height },
+    ext: source.ext,
+    contentType: mimetype,
+    format: source.format,
+    variants
+  };
+}
+
+module.exports = { IMAGE_SIZES, canProcess, processImage };
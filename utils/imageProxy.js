@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+
+// Proxy de imagens externas com proteção contra SSRF e cache em GridFS.
+//
+// Variáveis de ambiente (todas opcionais):
+//   IMAGE_PROXY_ALLOWED_HOSTS  lista separada por vírgula (aceita *.dominio.com); vazio = qualquer host público
+//   IMAGE_PROXY_MAX_BYTES      tamanho máximo da imagem (padrão 10 MB)
+//   IMAGE_PROXY_CACHE_HOURS    validade do cache (padrão 24h)
+//   IMAGE_PROXY_CACHE_MAX_MB   tamanho máximo do cache; acima disso as entradas mais antigas saem (padrão 500)
+//   IMAGE_PROXY_CACHE_MAX_ENTRIES  número máximo de imagens em cache (padrão 5000)
+//   IMAGE_PROXY_MAX_REDIRECTS  redirecionamentos seguidos (padrão 3)
+//   IMAGE_PROXY_RATE_LIMIT     requisições por IP a cada 15 min (padrão 300, aplicado em server.js)
+
+const CACHE_BUCKET = 'imageProxyCache';
+const MAX_BYTES = parseInt(process.env.IMAGE_PROXY_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const CACHE_TTL_MS = (parseFloat(process.env.IMAGE_PROXY_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+const CACHE_MAX_BYTES = (parseFloat(process.env.IMAGE_PROXY_CACHE_MAX_MB) || 500) * 1024 * 1024;
+const CACHE_MAX_ENTRIES = parseInt(process.env.IMAGE_PROXY_CACHE_MAX_ENTRIES, 10) || 5000;
+const MAX_REDIRECTS = process.env.IMAGE_PROXY_MAX_REDIRECTS !== undefined
+  ? parseInt(process.env.IMAGE_PROXY_MAX_REDIRECTS, 10)
+  : 3;
+const REQUEST_TIMEOUT_MS = 12000;
+
+const ALLOWED_HOSTS = (process.env.IMAGE_PROXY_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(h => h.trim().toLowerCase())
+  .filter(Boolean);
+
+// Faixas privadas, de loopback, link-local (inclui 169.254.169.254 das clouds),
+// CGNAT, documentação, multicast e reservadas
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([addr, prefix]) => BLOCKED_RANGES.addSubnet(addr, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+  ['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([addr, prefix]) => BLOCKED_RANGES.addSubnet(addr, prefix, 'ipv6'));
+
+// Assinaturas aceitas. SVG fica de fora de propósito (pode conter scripts).
+const SIGNATURES = [
+  { type: 'image/jpeg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/png',  test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif',  test: b => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { type: 'image/webp', test: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { type: 'image/avif', test: b => b.subarray(4, 8).toString('latin1') === 'ftyp' && /^avi[fs]$/.test(b.subarray(8, 12).toString('latin1')) },
+  { type: 'image/bmp',  test: b => b.subarray(0, 2).toString('latin1') === 'BM' },
+  { type: 'image/x-icon', test: b => b[0] === 0 && b[1] === 0 && b[2] === 1 && b[3] === 0 }
+];
+
+function proxyError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// true se o IP pode ser acessado pelo proxy (endereço público)
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  if (family === 6) {
+    // IPv4 mapeado em IPv6 (::ffff:10.0.0.1) é avaliado como IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPublicAddress(mapped[1]);
+    return !BLOCKED_RANGES.check(address, 'ipv6') && !/^::ffff:/i.test(address);
+  }
+  return !BLOCKED_RANGES.check(address, 'ipv4');
+}
+
+function isAllowedHost(hostname) {
+  if (!ALLOWED_HOSTS.length) return true;
+  const host = hostname.toLowerCase();
+  return ALLOWED_HOSTS.some(allowed => allowed.startsWith('*.')
+    ? host.endsWith(allowed.slice(1))
+    : host === allowed);
+}
+
+// dns.lookup que recusa endereços internos. Usado como `lookup` do http(s).request,
+// então a validação vale para o IP em que a conexão é de fato aberta (sem DNS rebinding).
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const allowed = addresses.filter(a => isPublicAddress(a.address));
+    if (!allowed.length || allowed.length !== addresses.length) {
+      return callback(proxyError(403, `Host não permitido: ${hostname}`));
+    }
+    if (options.all) return callback(null, allowed);
+    callback(null, allowed[0].address, allowed[0].family);
+  });
+}
+
+// Valida protocolo, allowlist e IP literal de uma URL (também a cada redirecionamento)
+function assertFetchable(url) {
+  if (!/^https?:$/.test(url.protocol)) throw proxyError(400, 'Unsupported protocol');
+  if (url.username || url.password) throw proxyError(400, 'Invalid url');
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (!isAllowedHost(hostname)) throw proxyError(403, 'Host não permitido');
+  // IPs literais não passam pelo lookup: valida aqui
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) throw proxyError(403, 'Host não permitido');
+}
+
+function sniffImageType(buffer) {
+  const match = SIGNATURES.find(sig => sig.test(buffer));
+  return match ? match.type : null;
+}
+
+// Uma requisição, sem seguir redirecionamentos. Resolve com { redirect } ou { buffer, contentType }.
+function requestOnce(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      lookup: safeLookup,
+      headers: { 'User-Agent': 'totalfilter-image-proxy', Accept: 'image/*' }
+    }, (r) => {
+      if ([301, 302, 303, 307, 308].includes(r.statusCode)) {
+        r.resume();
+        if (!r.headers.location) return reject(proxyError(502, 'Bad gateway'));
+        return resolve({ redirect: new URL(r.headers.location, url) });
+      }
+      if (r.statusCode !== 200) {
+        r.resume();
+        return reject(proxyError(502, `Upstream respondeu ${r.statusCode}`));
+      }
+
+      const ct = r.headers['content-type'] || '';
+      if (!ct.startsWith('image/')) {
+        r.resume();
+        return reject(proxyError(415, 'Unsupported media type'));
+      }
+
+      const declared = parseInt(r.headers['content-length'], 10);
+      if (declared > MAX_BYTES) {
+        r.destroy();
+        return reject(proxyError(413, 'Imagem grande demais'));
+      }
+
+      const chunks = [];
+      let received = 0;
+      r.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > MAX_BYTES) {
+          r.destroy();
+          return reject(proxyError(413, 'Imagem grande demais'));
+        }
+        chunks.push(chunk);
+      });
+      r.on('error', reject);
+      r.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        // O Content-Type do upstream não é confiável: o tipo servido vem dos bytes
+        const contentType = sniffImageType(buffer);
+        if (!contentType) return reject(proxyError(415, 'Unsupported media type'));
+        resolve({ buffer, contentType });
+      });
+    });
+
+    request.on('error', (err) => reject(err.status ? err : proxyError(502, 'Bad gateway')));
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => request.destroy(proxyError(504, 'Upstream timeout')));
+  });
+}
+
+// Baixa a imagem seguindo até MAX_REDIRECTS redirecionamentos, validando cada destino
+async function fetchImage(target) {
+  let url = target;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertFetchable(url);
+    const result = await requestOnce(url);
+    if (!result.redirect) return result;
+    url = result.redirect;
+  }
+  throw proxyError(502, 'Redirecionamentos demais');
+}
+
+// ─── Cache em GridFS (bucket próprio, fora do GC de uploads) ─────────────────────
+
+function getCacheBucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: CACHE_BUCKET });
+}
+
+function cacheKey(url) {
+  return crypto.createHash('sha256').update(url).digest('hex');
+}
+
+async function readCache(key) {
+  const bucket = getCacheBucket();
+  const [file] = await bucket.find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+  if (!file || file.metadata.expiresAt < new Date()) return null;
+
+  const chunks = [];
+  for await (const chunk of bucket.openDownloadStream(file._id)) chunks.push(chunk);
+  return { buffer: Buffer.concat(chunks), contentType: file.metadata.contentType, expiresAt: file.metadata.expiresAt };
+}
+
+async function writeCache(key, url, { buffer, contentType }) {
+  const bucket = getCacheBucket();
+  const expiresAt = new Date(Date.now() + CACHE_TTL_MS);
+
+  await new Promise((resolve, reject) => {
+    const upload = bucket.openUploadStream(key, {
+      contentType,
+      metadata: { contentType, sourceUrl: url, expiresAt }
+    });
+    upload.once('error', reject);
+    upload.once('finish', resolve);
+    upload.end(buffer);
+  });
+
+  // Remove versões anteriores da mesma URL
+  const old = await bucket.find({ filename: key }).sort({ uploadDate: -1 }).skip(1).toArray();
+  for (const file of old) await bucket.delete(file._id).catch(() => {});
+
+  return expiresAt;
+}
+
+// Mantém o cache dentro de CACHE_MAX_BYTES / CACHE_MAX_ENTRIES apagando as entradas
+// mais antigas. Retorna quantas foram apagadas.
+async function enforceCacheLimits() {
+  const bucket = getCacheBucket();
+  const files = bucket.find({}, { projection: { _id: 1, length: 1 } }).sort({ uploadDate: -1 });
+
+  let entries = 0;
+  let bytes = 0;
+  const evict = [];
+  for await (const file of files) {
+    entries += 1;
+    bytes += file.length;
+    if (entries > CACHE_MAX_ENTRIES || bytes > CACHE_MAX_BYTES) evict.push(file._id);
+  }
+
+  for (const id of evict) await bucket.delete(id).catch(() => {});
+  return evict.length;
+}
+
+// Uma verificação de limites por vez; gravações durante ela pedem outra rodada
+let limitsCheck = null;
+let limitsPending = false;
+function scheduleCacheLimits() {
+  if (limitsCheck) {
+    limitsPending = true;
+    return;
+  }
+  limitsCheck = enforceCacheLimits()
+    .catch(err => console.error('Falha ao limitar cache do proxy de imagens:', err.message))
+    .finally(() => {
+      limitsCheck = null;
+      if (limitsPending) {
+        limitsPending = false;
+        scheduleCacheLimits();
+      }
+    });
+}
+
+// Requisições simultâneas para a mesma URL compartilham o mesmo download
+const inFlight = new Map();
+
+// Imagem do cache (se válida) ou baixada do upstream.
+// Resolve com { buffer, contentType, expiresAt, cached }; rejeita com err.status definido.
+async function getProxiedImage(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw proxyError(400, 'Invalid url');
+  }
+  assertFetchable(url);
+
+  const key = cacheKey(url.href);
+  const cached = await readCache(key).catch(() => null);
+  if (cached) return { ...cached, cached: true };
+
+  if (!inFlight.has(key)) {
+    const task = (async () => {
+      const image = await fetchImage(url);
+      const expiresAt = await writeCache(key, url.href, image).catch((err) => {
+        console.error('Falha ao gravar cache do proxy de imagens:', err.message);
+        return new Date(Date.now() + CACHE_TTL_MS);
+      });
+      scheduleCacheLimits();
+      return { ...image, expiresAt, cached: false };
+    })().finally(() => inFlight.delete(key));
+    inFlight.set(key, task);
+  }
+  return inFlight.get(key);
+}
+
+// Remove do cache as entradas vencidas e o que passar dos limites. Retorna quantas foram apagadas.
+async function purgeExpired() {
+  const bucket = getCacheBucket();
+  const expired = await bucket.find({ 'metadata.expiresAt': { $lt: new Date() } }).toArray();
+  for (const file of expired) await bucket.delete(file._id).catch(() => {});
+  return expired.length + await enforceCacheLimits();
+}
+
+module.exports = {
+  CACHE_BUCKET,
+  isPublicAddress,
+  isAllowedHost,
+  sniffImageType,
+  fetchImage,
+  getProxiedImage,
+  enforceCacheLimits,
+  purgeExpired
+};
@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Bloqueio por conta: após LOCKOUT_THRESHOLD falhas seguidas, a conta fica
+// bloqueada por LOCKOUT_BASE_MINUTES, dobrando a cada nova falha (até 24h).
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 1) * 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+function lockDuration(failures) {
+  const exponent = failures - LOCKOUT_THRESHOLD;
+  return Math.min(LOCKOUT_BASE_MS * 2 ** exponent, LOCKOUT_MAX_MS);
+}
+
+// Retorna a data de desbloqueio, ou null se a conta não estiver bloqueada
+function lockedUntil(user) {
+  return user.lockedUntil && user.lockedUntil > new Date() ? user.lockedUntil : null;
+}
+
+// Conta uma falha (senha ou 2FA) e bloqueia a conta se atingir o limite.
+// Retorna a data de desbloqueio quando a conta acabou de ser bloqueada.
+async function registerFailure(user) {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < LOCKOUT_THRESHOLD) return null;
+
+  const until = new Date(Date.now() + lockDuration(updated.failedLoginAttempts));
+  await User.updateOne({ _id: user._id }, { lockedUntil: until });
+  return until;
+}
+
+async function registerSuccess(user) {
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lockedUntil: null, lastLoginAt: new Date() }
+  );
+}
+
+async function unlock(userId) {
+  await User.updateOne({ _id: userId }, { failedLoginAttempts: 0, lockedUntil: null });
+}
+
+// Compara um login bem-sucedido com o histórico do usuário
+async function detectSuspicious(user, ip, userAgent) {
+  const reasons = [];
+
+  const previous = await LoginAttempt.find({ user: user._id, outcome: 'success' })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .select('ip userAgent')
+    .lean();
+
+  // Primeiro login registrado não tem base de comparação
+  if (previous.length) {
+    if (!previous.some(a => a.ip === ip)) reasons.push('new-ip');
+    if (!previous.some(a => a.userAgent === userAgent)) reasons.push('new-user-agent');
+  }
+  if ((user.failedLoginAttempts || 0) >= 3) reasons.push('recent-failures');
+
+  return reasons;
+}
+
+// Grava uma tentativa no histórico. Falhas de gravação não impedem o login.
+async function recordLoginAttempt(req, { user = null, username, outcome }) {
+  const ip = req.ip;
+  const userAgent = (req.get('user-agent') || '').slice(0, 300);
+
+  try {
+    const attempt = { user: user ? user._id : undefined, username, ip, userAgent, outcome };
+
+    if (outcome === 'success' && user) {
+      const reasons = await detectSuspicious(user, ip, userAgent);
+      if (reasons.length) {
+        attempt.suspicious = true;
+        attempt.reasons = reasons;
+      }
+    }
+
+    await LoginAttempt.create(attempt);
+  } catch (err) {
+    console.error("Erro ao registrar tentativa de login:", err);
+  }
+}
+
+// Resposta padrão para conta bloqueada (HTTP 423 + Retry-After)
+function sendLocked(res, until) {
+  const retryAfter = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    error: "Conta bloqueada temporariamente por excesso de tentativas.",
+    lockedUntil: until,
+    retryAfter
+  });
+}
+
+module.exports = {
+  lockedUntil,
+  registerFailure,
+  registerSuccess,
+  unlock,
+  recordLoginAttempt,
+  sendLocked
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transporte de e-mail configurável via MAIL_TRANSPORT:
+//   smtp    → servidor SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    → grava cada mensagem como .eml em MAIL_FILE_DIR (padrão: ./mail-outbox)
+//   console → apenas imprime a mensagem no log (padrão fora de produção)
+const MAIL_FROM = process.env.MAIL_FROM || 'Total Filter <no-reply@totalfilter.com.br>';
+
+function createSmtpTransport() {
+  const auth = process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined;
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    // Servidores locais de teste normalmente não oferecem STARTTLS
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+    auth
+  });
+}
+
+// Transporte que gera a mensagem MIME completa sem enviar nada
+function createBufferTransport() {
+  return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+}
+
+const transports = {
+  smtp: {
+    create: createSmtpTransport,
+    async deliver(transport, message) {
+      return transport.sendMail(message);
+    }
+  },
+
+  file: {
+    create: createBufferTransport,
+    async deliver(transport, message) {
+      const info = await transport.sendMail(message);
+      const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      console.log(`📧 E-mail gravado em ${file}`);
+      return info;
+    }
+  },
+
+  console: {
+    create: createBufferTransport,
+    async deliver(transport, message) {
+      const info = await transport.sendMail(message);
+      console.log(`📧 E-mail (console) para ${message.to}:\n${info.message.toString()}`);
+      return info;
+    }
+  }
+};
+
+// Registra um transporte adicional (ex.: API de um provedor de e-mail)
+function registerTransport(name, definition) {
+  transports[name] = definition;
+  cached = null;
+}
+
+let cached = null;
+
+function getTransport() {
+  const name = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  if (cached && cached.name === name) return cached;
+
+  const definition = transports[name];
+  if (!definition) throw new Error(`Transporte de e-mail desconhecido: ${name}`);
+
+  cached = { name, definition, transport: definition.create() };
+  return cached;
+}
+
+// Envia um e-mail: { to, subject, text, html?, replyTo? }
+async function sendMail(message) {
+  const { definition, transport } = getTransport();
+  return definition.deliver(transport, { from: MAIL_FROM, ...message });
+}
+
+module.exports = { sendMail, registerTransport };
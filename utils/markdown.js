@@ -0,0 +1,90 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { gridfsFilenameFromUrl } = require('./gridfs');
+
+// Renderização dos posts: Markdown → HTML → sanitização por allowlist.
+// O HTML salvo no banco já é seguro para o front inserir direto na página.
+
+const marked = new Marked({ gfm: true, breaks: true });
+
+const ALLOWED_TAGS = [
+  'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr',
+  'strong', 'b', 'em', 'i', 'del', 's', 'sub', 'sup', 'mark',
+  'a', 'img', 'figure', 'figcaption',
+  'ul', 'ol', 'li', 'blockquote', 'code', 'pre',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td'
+];
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title', 'rel', 'target'],
+  img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+  th: ['align'],
+  td: ['align'],
+  ol: ['start'],
+  code: ['class']
+};
+
+// Aponta a imagem para o GridFS (arquivos próprios) ou para o proxy (externas).
+// Retorna null para qualquer outra coisa (data:, javascript:, caminhos relativos…).
+function rewriteImageSrc(src, baseUrl) {
+  if (!src) return null;
+
+  const gridfsName = gridfsFilenameFromUrl(src);
+  if (gridfsName) return `${baseUrl}/api/files/${encodeURIComponent(gridfsName)}`;
+
+  let url;
+  try {
+    url = new URL(src);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+  return `${baseUrl}/api/image-proxy?url=${encodeURIComponent(url.href)}`;
+}
+
+// Converte o Markdown do post em HTML sanitizado.
+// baseUrl: origem da API usada nas URLs de imagem (ex.: https://api.exemplo.com); vazio = caminho relativo
+function renderMarkdown(source, { baseUrl = '' } = {}) {
+  const base = String(baseUrl).replace(/\/+$/, '');
+  const rawHtml = marked.parse(String(source || ''));
+
+  return sanitizeHtml(rawHtml, {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: ALLOWED_ATTRIBUTES,
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https'] },
+    allowedClasses: { code: [/^language-[\w-]+$/] },
+    allowProtocolRelative: false,
+    // h1 fica com o título do post: cabeçalhos do corpo começam em h2
+    transformTags: {
+      h1: 'h2',
+      a: (tagName, attribs) => {
+        const external = /^https?:/i.test(attribs.href || '');
+        return {
+          tagName,
+          attribs: external
+            ? { ...attribs, rel: 'noopener noreferrer nofollow', target: '_blank' }
+            : attribs
+        };
+      },
+      img: (tagName, attribs) => {
+        const src = rewriteImageSrc(attribs.src, base);
+        // Sem src válido a imagem é descartada pelo exclusiveFilter abaixo
+        if (!src) return { tagName, attribs: {} };
+        return { tagName, attribs: { ...attribs, src, loading: 'lazy' } };
+      }
+    },
+    exclusiveFilter: frame => frame.tag === 'img' && !frame.attribs.src
+  });
+}
+
+// Texto do HTML, sem tags, para os resumos. Continua codificado (&lt; &gt; &amp; &quot;):
+// o resultado pode ser inserido como HTML, igual ao contentHtml. Idempotente.
+function htmlToText(html) {
+  return sanitizeHtml(String(html || ''), { allowedTags: [], allowedAttributes: {} })
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { renderMarkdown, htmlToText };
@@ -0,0 +1,116 @@
+const NotificationJob = require('../models/NotificationJob');
+
+// Fila de notificações com novas tentativas e backoff exponencial.
+// O envio acontece fora da requisição: quem enfileira não espera SMTP/webhook.
+//
+//   NOTIFY_MAX_ATTEMPTS       tentativas por job (padrão 5)
+//   NOTIFY_RETRY_BASE_SECONDS atraso da 1ª nova tentativa; dobra a cada falha (padrão 30)
+//   NOTIFY_POLL_SECONDS       intervalo de varredura do worker (padrão 15)
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = (parseInt(process.env.NOTIFY_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const POLL_INTERVAL_MS = (parseInt(process.env.NOTIFY_POLL_SECONDS, 10) || 15) * 1000;
+const LOCK_MS = 2 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+const handlers = {};
+
+// Define como um tipo de job é entregue: async (payload) => void (lança erro para nova tentativa)
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Reserva o próximo job vencido (atômico: dois workers nunca pegam o mesmo)
+function claimNextJob(now = new Date()) {
+  return NotificationJob.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  try {
+    await handlers[job.type](job.payload);
+    job.status = 'done';
+    job.completedAt = new Date();
+    job.lastError = undefined;
+  } catch (err) {
+    job.lastError = err.message;
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'failed';
+      console.error(`❌ Notificação ${job.type} (${job._id}) falhou após ${job.attempts} tentativa(s):`, err.message);
+    } else {
+      job.status = 'pending';
+      job.nextAttemptAt = new Date(Date.now() + retryDelay(job.attempts));
+      console.warn(`⚠️ Notificação ${job.type} (${job._id}) falhou, nova tentativa às ${job.nextAttemptAt.toISOString()}:`, err.message);
+    }
+  }
+  job.lockedUntil = undefined;
+  await job.save();
+}
+
+let running = false;
+
+// Processa todos os jobs vencidos. Retorna quantos foram executados.
+async function processDue() {
+  if (running) return 0;
+  running = true;
+  let processed = 0;
+  try {
+    for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+      await runJob(job);
+      processed++;
+    }
+  } finally {
+    running = false;
+  }
+  return processed;
+}
+
+function kick() {
+  setImmediate(() => {
+    processDue().catch(err => console.error('Erro no worker de notificações:', err.message));
+  });
+}
+
+// Enfileira um job e dispara o worker em seguida (sem aguardar a entrega)
+async function enqueue(type, payload, { maxAttempts = MAX_ATTEMPTS } = {}) {
+  if (!handlers[type]) throw new Error(`Tipo de notificação desconhecido: ${type}`);
+  const job = await NotificationJob.create({ type, payload, maxAttempts });
+  kick();
+  return job;
+}
+
+let timer = null;
+
+// Inicia a varredura periódica (novas tentativas e jobs que sobraram de outro processo)
+function startWorker() {
+  if (timer) return;
+  timer = setInterval(kick, POLL_INTERVAL_MS);
+  timer.unref();
+  kick();
+}
+
+function stopWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  processDue,
+  startWorker,
+  stopWorker
+};
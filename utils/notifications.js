@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+const { renderEmail } = require('./templates');
+const { registerHandler, enqueue } = require('./notificationQueue');
+const { formatCnpj } = require('./cnpj');
+
+// Notificações de novas mensagens de contato. Tudo passa pela fila (utils/notificationQueue.js):
+// a resposta do formulário nunca espera SMTP ou webhook.
+//
+//   CONTACT_NOTIFY_EMAILS   destinatários internos, separados por vírgula (vazio = não envia)
+//   CONTACT_ACK_EMAIL       "true" liga a confirmação automática ao remetente (desligada por padrão:
+//                           o destinatário é qualquer endereço digitado no formulário público)
+//   CONTACT_WEBHOOK_URL     URL que recebe um POST JSON a cada mensagem (opcional)
+//   CONTACT_WEBHOOK_SECRET  assina o corpo do webhook (X-Signature: sha256=<hmac>)
+//   ADMIN_PANEL_URL         link do painel incluído no e-mail interno
+//   QUOTE_NOTIFY_EMAILS     destinatários das cotações (padrão: CONTACT_NOTIFY_EMAILS)
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// ─── Entregas ─────────────────────────────────────────────────────────────────────
+
+registerHandler('email', async (message) => {
+  await sendMail(message);
+});
+
+// O segredo é lido na entrega, não gravado no job: não fica na coleção da fila
+// e uma troca de segredo vale também para as tentativas pendentes.
+registerHandler('webhook', async ({ url, body }) => {
+  const json = JSON.stringify(body);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'totalfilter-webhook' };
+  const secret = process.env.CONTACT_WEBHOOK_SECRET;
+  if (secret) {
+    headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(json).digest('hex')}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: json,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook respondeu ${response.status}`);
+  }
+});
+
+// ─── Mensagens de contato ─────────────────────────────────────────────────────────
+
+function recipientList(value) {
+  return String(value || '').split(',').map(e => e.trim()).filter(Boolean);
+}
+
+function templateVars(message) {
+  return {
+    id: String(message._id),
+    nome: message.nome,
+    email: message.email,
+    telefone: message.telefone || '-',
+    mensagem: message.mensagem,
+    data: new Date(message.date).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' }),
+    painelUrl: process.env.ADMIN_PANEL_URL || ''
+  };
+}
+
+// Enfileira as notificações configuradas para uma mensagem recém-salva.
+// Retorna os jobs criados.
+async function notifyNewContactMessage(message) {
+  const vars = templateVars(message);
+  const jobs = [];
+
+  const team = recipientList(process.env.CONTACT_NOTIFY_EMAILS);
+  if (team.length) {
+    const email = await renderEmail('contact-notification', vars);
+    jobs.push(await enqueue('email', { ...email, to: team.join(', '), replyTo: message.email }));
+  }
+
+  if (process.env.CONTACT_ACK_EMAIL === 'true') {
+    const email = await renderEmail('contact-acknowledgement', vars);
+    jobs.push(await enqueue('email', { ...email, to: message.email }));
+  }
+
+  if (process.env.CONTACT_WEBHOOK_URL) {
+    jobs.push(await enqueue('webhook', {
+      url: process.env.CONTACT_WEBHOOK_URL,
+      body: {
+        event: 'contact.created',
+        message: {
+          id: vars.id,
+          nome: message.nome,
+          email: message.email,
+          telefone: message.telefone || null,
+          mensagem: message.mensagem,
+          date: message.date
+        }
+      }
+    }));
+  }
+
+  return jobs;
+}
+
+// ─── Cotações ─────────────────────────────────────────────────────────────────────
+
+function quoteVars(quote) {
+  return {
+    id: String(quote._id),
+    referencia: quote.reference,
+    empresa: quote.company.name,
+    cnpj: formatCnpj(quote.company.cnpj),
+    nome: quote.contact.name,
+    email: quote.contact.email,
+    telefone: quote.contact.phone || '-',
+    mensagem: quote.message || '',
+    itens: quote.items
+      .map(item => `${item.quantity} x ${item.code ? `${item.code} - ` : ''}${item.name}${item.notes ? ` (${item.notes})` : ''}`)
+      .join('\n'),
+    // Só dados do catálogo, sem as observações do visitante (usado na confirmação ao cliente)
+    itensCatalogo: quote.items
+      .map(item => `${item.quantity} x ${item.code ? `${item.code} - ` : ''}${item.name}`)
+      .join('\n'),
+    data: new Date(quote.createdAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' }),
+    painelUrl: process.env.ADMIN_PANEL_URL || ''
+  };
+}
+
+// Enfileira o aviso interno e, com CONTACT_ACK_EMAIL=true, a confirmação ao cliente
+// (com o número de referência)
+async function notifyNewQuoteRequest(quote) {
+  const vars = quoteVars(quote);
+  const jobs = [];
+
+  const team = recipientList(process.env.QUOTE_NOTIFY_EMAILS || process.env.CONTACT_NOTIFY_EMAILS);
+  if (team.length) {
+    const email = await renderEmail('quote-notification', vars);
+    jobs.push(await enqueue('email', { ...email, to: team.join(', '), replyTo: quote.contact.email }));
+  }
+
+  if (process.env.CONTACT_ACK_EMAIL === 'true') {
+    const email = await renderEmail('quote-acknowledgement', vars);
+    jobs.push(await enqueue('email', { ...email, to: quote.contact.email }));
+  }
+
+  return jobs;
+}
+
+module.exports = { notifyNewContactMessage, notifyNewQuoteRequest };
@@ -0,0 +1,60 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+
+// Hashes bcrypt começam com $2a$, $2b$ ou $2y$
+const BCRYPT_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+// Política mínima de senha para novos usuários
+const PASSWORD_MIN_LENGTH = 8;
+
+// Verifica se o valor armazenado já é um hash bcrypt
+function isHashed(value) {
+  return typeof value === 'string' && BCRYPT_PATTERN.test(value);
+}
+
+// Gera o hash bcrypt de uma senha em texto puro
+function hashPassword(plain) {
+  return bcrypt.hash(plain, SALT_ROUNDS);
+}
+
+// Compara a senha informada com o valor armazenado.
+// Registros antigos (texto puro) são comparados em tempo constante
+// sobre o SHA-256 de ambos, para não vazar o tamanho da senha.
+async function verifyPassword(plain, stored) {
+  if (typeof plain !== 'string' || typeof stored !== 'string') return false;
+
+  if (isHashed(stored)) {
+    return bcrypt.compare(plain, stored);
+  }
+
+  const a = crypto.createHash('sha256').update(plain).digest();
+  const b = crypto.createHash('sha256').update(stored).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Retorna a lista de problemas da senha (vazia = senha aceita)
+function checkPasswordPolicy(password) {
+  const problems = [];
+
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`A senha deve ter pelo menos ${PASSWORD_MIN_LENGTH} caracteres.`);
+    return problems;
+  }
+  if (!/[A-Za-z]/.test(password)) {
+    problems.push('A senha deve conter pelo menos uma letra.');
+  }
+  if (!/\d/.test(password)) {
+    problems.push('A senha deve conter pelo menos um número.');
+  }
+  return problems;
+}
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  checkPasswordPolicy
+};
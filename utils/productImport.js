@@ -0,0 +1,204 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { normalizeText, normalizeCode } = require('./search');
+
+// Cabeçalhos aceitos para cada campo do produto (comparados sem acento/caixa)
+const COLUMN_ALIASES = {
+  code:        ['code', 'codigo', 'cod', 'referencia', 'sku', 'part code'],
+  name:        ['name', 'nome', 'produto'],
+  description: ['description', 'descricao'],
+  price:       ['price', 'preco', 'valor'],
+  imageUrl:    ['imageurl', 'image', 'imagem', 'url da imagem', 'foto'],
+  isLaunch:    ['islaunch', 'isnewrelease', 'lancamento'],
+  categories:  ['categories', 'categorias', 'categoria']
+};
+
+const FIELDS = Object.keys(COLUMN_ALIASES);
+
+const TRUE_VALUES  = ['true', '1', 'sim', 's', 'yes', 'y', 'x'];
+const FALSE_VALUES = ['false', '0', 'nao', 'n', 'no', ''];
+
+// Descobre qual coluna da planilha alimenta cada campo.
+// customMapping ({ "Cabeçalho": "campo" }) tem prioridade sobre os apelidos.
+function resolveColumns(headers, customMapping = {}) {
+  const columns = {};
+
+  for (const [header, field] of Object.entries(customMapping)) {
+    if (FIELDS.includes(field) && headers.includes(header)) columns[field] = header;
+  }
+
+  for (const header of headers) {
+    const key = normalizeText(header);
+    for (const field of FIELDS) {
+      if (!columns[field] && COLUMN_ALIASES[field].includes(key)) columns[field] = header;
+    }
+  }
+  return columns;
+}
+
+// Índice de categorias por slug e por nome normalizado
+async function loadCategoryIndex() {
+  const categories = await Category.find().select('name slug').lean();
+  const index = new Map();
+  for (const c of categories) {
+    index.set(c.slug, c._id);
+    if (!index.has(normalizeText(c.name))) index.set(normalizeText(c.name), c._id);
+  }
+  return index;
+}
+
+// Preço da planilha → texto com ponto decimal, ou null se inválido/ambíguo.
+// Aceita "1234,56", "1.234,56", "1234.56" e "1,234.56": com os dois separadores, o
+// último é o decimal; com um só, ele é decimal se aparecer uma vez e de milhar se
+// repetir ("1.234.567"). Milhares fora do padrão de 3 dígitos são recusados.
+function parsePrice(raw) {
+  const value = raw.replace(/\s/g, '');
+  const lastComma = value.lastIndexOf(',');
+  const lastDot = value.lastIndexOf('.');
+
+  let decimalSep = null;
+  let thousandsSep = null;
+  if (lastComma >= 0 && lastDot >= 0) {
+    decimalSep = lastComma > lastDot ? ',' : '.';
+    thousandsSep = decimalSep === ',' ? '.' : ',';
+  } else if (lastComma >= 0 || lastDot >= 0) {
+    const sep = lastComma >= 0 ? ',' : '.';
+    if (value.split(sep).length === 2) decimalSep = sep;
+    else thousandsSep = sep;
+  }
+
+  const decimalAt = decimalSep ? value.lastIndexOf(decimalSep) : -1;
+  let integer = decimalAt >= 0 ? value.slice(0, decimalAt) : value;
+  const fraction = decimalAt >= 0 ? value.slice(decimalAt + 1) : '';
+
+  if (thousandsSep && integer.includes(thousandsSep)) {
+    const groups = integer.split(thousandsSep);
+    if (!/^\d{1,3}$/.test(groups[0]) || groups.slice(1).some(g => !/^\d{3}$/.test(g))) return null;
+    integer = groups.join('');
+  }
+
+  if (!/^\d+$/.test(integer) || (decimalSep && !/^\d+$/.test(fraction))) return null;
+  return decimalSep ? `${integer}.${fraction}` : integer;
+}
+
+// Converte uma linha da planilha em campos do produto; devolve { data, errors }
+function parseRow(record, columns, categoryIndex) {
+  const data = {};
+  const errors = [];
+  const cell = field => (columns[field] ? String(record[columns[field]] ?? '').trim() : '');
+
+  const code = normalizeCode(cell('code'));
+  if (!code) errors.push({ field: 'code', message: 'O código da peça é obrigatório.' });
+  data.code = code;
+
+  if (cell('name')) data.name = cell('name');
+  if (cell('description')) data.description = cell('description');
+  if (cell('imageUrl')) data.imageUrl = cell('imageUrl');
+
+  const price = cell('price');
+  if (price) {
+    const normalized = parsePrice(price);
+    if (normalized === null) {
+      errors.push({ field: 'price', message: 'Preço inválido ou ambíguo. Use, por exemplo, 1234,56 ou 1.234,56.' });
+    } else {
+      data.price = normalized;
+    }
+  }
+
+  if (columns.isLaunch) {
+    const value = normalizeText(cell('isLaunch'));
+    if (TRUE_VALUES.includes(value)) data.isLaunch = true;
+    else if (FALSE_VALUES.includes(value)) data.isLaunch = false;
+    else errors.push({ field: 'isLaunch', message: 'Use sim/não ou true/false.' });
+  }
+
+  const categories = cell('categories');
+  if (categories) {
+    data.categories = [];
+    for (const name of categories.split(/[;|]/).map(c => c.trim()).filter(Boolean)) {
+      const id = categoryIndex.get(name.toLowerCase()) || categoryIndex.get(normalizeText(name));
+      if (id) data.categories.push(id);
+      else errors.push({ field: 'categories', message: `Categoria não encontrada: ${name}` });
+    }
+  }
+
+  return { data, errors };
+}
+
+// Importa (ou simula, com dryRun) as linhas da planilha, fazendo upsert pelo código.
+// Retorna { dryRun, totalRows, created, updated, skipped, errors: [{ row, field, message }] }
+async function importProducts(records, { dryRun = true, mapping = {}, defaultImageUrl }) {
+  const headers = records.length ? Object.keys(records[0]) : [];
+  const columns = resolveColumns(headers, mapping);
+
+  const report = { dryRun, totalRows: records.length, columns, created: 0, updated: 0, skipped: 0, errors: [] };
+
+  if (!columns.code) {
+    report.errors.push({ row: 1, field: 'code', message: 'Nenhuma coluna de código encontrada no cabeçalho.' });
+    report.skipped = records.length;
+    return report;
+  }
+
+  const categoryIndex = await loadCategoryIndex();
+  const codes = records.map(r => normalizeCode(r[columns.code])).filter(Boolean);
+  const existing = await Product.find({ code: { $in: codes } });
+  const byCode = new Map(existing.map(p => [p.code, p]));
+  const seen = new Set();
+
+  for (const [index, record] of records.entries()) {
+    // Linha 1 é o cabeçalho
+    const row = index + 2;
+    const { data, errors } = parseRow(record, columns, categoryIndex);
+
+    if (data.code && seen.has(data.code)) {
+      errors.push({ field: 'code', message: `Código ${data.code} repetido na planilha.` });
+    }
+    if (data.code) seen.add(data.code);
+
+    let product = byCode.get(data.code);
+    const isNew = !product;
+
+    if (isNew) {
+      if (!data.name) errors.push({ field: 'name', message: 'O nome do produto é obrigatório.' });
+      if (!data.description) errors.push({ field: 'description', message: 'A descrição é obrigatória.' });
+    }
+
+    if (errors.length) {
+      report.errors.push(...errors.map(e => ({ row, ...e })));
+      report.skipped++;
+      continue;
+    }
+
+    if (isNew) {
+      product = new Product({ imageUrl: defaultImageUrl, ...data });
+    } else {
+      product.set(data);
+    }
+
+    if (!isNew && !product.isModified()) {
+      report.skipped++;
+      continue;
+    }
+
+    // Validação do próprio model (campos obrigatórios, tipos)
+    const validationError = product.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(e => {
+        report.errors.push({ row, field: e.path, message: e.message });
+      });
+      report.skipped++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await product.save();
+      byCode.set(product.code, product);
+    }
+    if (isNew) report.created++;
+    else report.updated++;
+  }
+
+  return report;
+}
+
+module.exports = { COLUMN_ALIASES, parsePrice, importProducts };
@@ -0,0 +1,144 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { stringify } = require('csv-stringify');
+const { formatCnpj } = require('./cnpj');
+const { escapeFormula } = require('./spreadsheet');
+
+const LOGO_PATH = path.join(__dirname, '..', 'public', 'imagens', 'total-filter-logo.png');
+const MARGIN = 40;
+const BRAND_COLOR = '#c8102e';
+
+const STATUS_LABELS = {
+  new: 'Nova',
+  reviewing: 'Em análise',
+  quoted: 'Cotada',
+  won: 'Ganha',
+  lost: 'Perdida',
+  cancelled: 'Cancelada',
+  spam: 'Spam'
+};
+
+function formatDate(date) {
+  return new Date(date).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+}
+
+// Colunas da tabela de itens: [título, largura relativa, alinhamento]
+const ITEM_COLUMNS = [
+  ['#', 0.06, 'left'],
+  ['Código', 0.18, 'left'],
+  ['Produto', 0.46, 'left'],
+  ['Qtd.', 0.1, 'right'],
+  ['Observação', 0.2, 'left']
+];
+
+function drawItemsRow(doc, values, y, { bold = false } = {}) {
+  const width = doc.page.width - MARGIN * 2;
+  let x = MARGIN;
+  let rowHeight = 0;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111111');
+  ITEM_COLUMNS.forEach(([, share, align], i) => {
+    const colWidth = width * share;
+    const text = values[i] === undefined || values[i] === null ? '' : String(values[i]);
+    rowHeight = Math.max(rowHeight, doc.heightOfString(text, { width: colWidth - 6 }));
+    doc.text(text, x, y, { width: colWidth - 6, align });
+    x += colWidth;
+  });
+
+  return y + rowHeight + 6;
+}
+
+// Gera o PDF de uma cotação e escreve em output (ex.: a resposta HTTP)
+function renderQuotePdf(output, quote) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Cotação ${quote.reference}` } });
+  doc.pipe(output);
+
+  const width = doc.page.width - MARGIN * 2;
+
+  try {
+    doc.image(LOGO_PATH, MARGIN, MARGIN, { height: 40 });
+  } catch (err) {
+    console.error('Logo da cotação indisponível:', err.message);
+  }
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(18)
+    .text(`Cotação ${quote.reference}`, MARGIN, MARGIN + 8, { width, align: 'right' });
+  doc.fillColor('#555555').font('Helvetica').fontSize(9)
+    .text(`Recebida em ${formatDate(quote.createdAt)} • Status: ${STATUS_LABELS[quote.status] || quote.status}`,
+      { width, align: 'right' });
+
+  doc.moveDown(2);
+  const section = (title) => {
+    doc.moveDown(0.8).fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(12).text(title, MARGIN, doc.y, { width });
+    doc.moveTo(MARGIN, doc.y + 2).lineTo(MARGIN + width, doc.y + 2).lineWidth(0.5).strokeColor(BRAND_COLOR).stroke();
+    doc.moveDown(0.5).fillColor('#111111').font('Helvetica').fontSize(10);
+  };
+
+  section('Empresa');
+  doc.text(quote.company.name)
+    .text(`CNPJ: ${formatCnpj(quote.company.cnpj)}`);
+  const location = [quote.company.city, quote.company.state].filter(Boolean).join(' / ');
+  if (location) doc.text(location);
+
+  section('Contato');
+  doc.text(quote.contact.name)
+    .text(quote.contact.email);
+  if (quote.contact.phone) doc.text(quote.contact.phone);
+
+  section(`Itens (${quote.items.length})`);
+  let y = drawItemsRow(doc, ITEM_COLUMNS.map(c => c[0]), doc.y, { bold: true });
+  quote.items.forEach((item, index) => {
+    if (y > doc.page.height - MARGIN - 40) {
+      doc.addPage();
+      y = drawItemsRow(doc, ITEM_COLUMNS.map(c => c[0]), MARGIN, { bold: true });
+    }
+    y = drawItemsRow(doc, [index + 1, item.code || '-', item.name, item.quantity, item.notes || ''], y);
+  });
+  doc.x = MARGIN;
+  doc.y = y;
+
+  if (quote.message) {
+    section('Mensagem do cliente');
+    doc.text(quote.message, { width });
+  }
+
+  doc.end();
+}
+
+// Uma linha por item, com os dados da cotação repetidos (fácil de filtrar no Excel).
+// Separador ";" + BOM, como na exportação de produtos.
+function streamQuoteCsv(output, quote) {
+  const csv = stringify({
+    header: true,
+    bom: true,
+    delimiter: ';',
+    // Empresa, contato e observações vêm de visitantes anônimos
+    cast: { string: escapeFormula },
+    columns: [
+      'reference', 'createdAt', 'status', 'company', 'cnpj', 'contactName', 'contactEmail',
+      'contactPhone', 'item', 'code', 'product', 'quantity', 'notes'
+    ]
+  });
+  csv.pipe(output);
+
+  quote.items.forEach((item, index) => {
+    csv.write({
+      reference: quote.reference,
+      createdAt: new Date(quote.createdAt).toISOString(),
+      status: quote.status,
+      company: quote.company.name,
+      cnpj: formatCnpj(quote.company.cnpj),
+      contactName: quote.contact.name,
+      contactEmail: quote.contact.email,
+      contactPhone: quote.contact.phone || '',
+      item: index + 1,
+      code: item.code || '',
+      product: item.name,
+      quantity: item.quantity,
+      notes: item.notes || ''
+    });
+  });
+  csv.end();
+}
+
+module.exports = { STATUS_LABELS, renderQuotePdf, streamQuoteCsv };
@@ -0,0 +1,114 @@
+// Normalização de texto para busca: sem acentos, minúsculo, espaços simples
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Normalização de códigos de peça: "uars-11510 p" → "UARS11510P"
+function normalizeCode(code) {
+  return String(code || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+// Palavras que parecem código de peça (letras e números juntos: USW2180, UARS11510P)
+function extractCodes(text) {
+  return String(text || '')
+    .split(/[\s,;/()]+/)
+    .map(normalizeCode)
+    .filter(t => t.length >= 3 && /[A-Z]/.test(t) && /\d/.test(t));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Quebra a busca em termos normalizados (ignora termos de 1 caractere)
+function tokenize(query) {
+  return [...new Set(
+    normalizeText(query)
+      .split(/[\s,;]+/)
+      .filter(t => t.length >= 2)
+  )].slice(0, 10);
+}
+
+// Envolve as ocorrências dos termos em <mark>, ignorando acentos e caixa.
+// Com maxLength, devolve um trecho em torno da primeira ocorrência.
+function highlight(text, tokens, { maxLength = null } = {}) {
+  const original = String(text || '');
+
+  // Normaliza caractere a caractere para manter o mapeamento de posições
+  let normalized = '';
+  const map = [];
+  for (let i = 0; i < original.length; i++) {
+    const n = original[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (let k = 0; k < n.length; k++) map.push(i);
+    normalized += n;
+  }
+
+  const ranges = [];
+  for (const token of tokens) {
+    const needle = normalizeText(token);
+    if (!needle) continue;
+    let idx = normalized.indexOf(needle);
+    while (idx !== -1) {
+      ranges.push([map[idx], map[idx + needle.length - 1] + 1]);
+      idx = normalized.indexOf(needle, idx + needle.length);
+    }
+  }
+
+  // Une intervalos sobrepostos
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+
+  let start = 0;
+  let end = original.length;
+  if (maxLength && original.length > maxLength) {
+    const first = merged.length ? merged[0][0] : 0;
+    start = Math.max(0, first - Math.floor(maxLength / 3));
+    end = Math.min(original.length, start + maxLength);
+  }
+
+  let out = start > 0 ? '…' : '';
+  let cursor = start;
+  for (const [a, b] of merged) {
+    if (b <= start || a >= end) continue;
+    const from = Math.max(a, start);
+    const to = Math.min(b, end);
+    out += escapeHtml(original.slice(cursor, from));
+    out += `<mark>${escapeHtml(original.slice(from, to))}</mark>`;
+    cursor = to;
+  }
+  out += escapeHtml(original.slice(cursor, end));
+  if (end < original.length) out += '…';
+  return out;
+}
+
+module.exports = {
+  normalizeText,
+  normalizeCode,
+  extractCodes,
+  escapeRegex,
+  escapeHtml,
+  tokenize,
+  highlight
+};
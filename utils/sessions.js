@@ -0,0 +1,154 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const generateToken = require('./generateToken');
+const { randomToken, hashToken } = require('./tokens');
+
+// Validade do refresh token / sessão (padrão: 7 dias)
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+// Refresh token no formato "<sessionId>.<segredo aleatório>"
+function buildRefreshToken(sessionId) {
+  const secret = randomToken(48);
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+function parseRefreshToken(token) {
+  if (typeof token !== 'string') return null;
+  const [sessionId, secret] = token.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function clientInfo(req) {
+  return {
+    ip: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 300)
+  };
+}
+
+// Cria uma nova sessão e devolve o par access/refresh token
+async function createSession(user, req) {
+  const session = new Session({
+    user: user._id,
+    tokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...clientInfo(req)
+  });
+
+  const refresh = buildRefreshToken(session._id);
+  session.tokenHash = refresh.hash;
+  await session.save();
+
+  return {
+    token: generateToken(user, session._id),
+    refreshToken: refresh.token,
+    session
+  };
+}
+
+// Troca um refresh token válido por um novo par (rotação).
+// Se um token já rotacionado for apresentado de novo, a família inteira é revogada.
+// Retorna { token, refreshToken, session } ou { error } com o motivo.
+async function rotateRefreshToken(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'invalid' };
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session) return { error: 'invalid' };
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'reuse-detected';
+      await session.save();
+    }
+    return { error: 'reused' };
+  }
+
+  if (presentedHash !== session.tokenHash) return { error: 'invalid' };
+  if (!session.isActive()) return { error: 'revoked' };
+
+  const user = await User.findById(session.user);
+  if (!user || user.disabled) {
+    await revokeSession(session._id, 'user-unavailable');
+    return { error: 'revoked' };
+  }
+
+  // Troca atômica: só vale se o token apresentado ainda for o atual. Se outra
+  // requisição com o mesmo token rotacionou antes, é reutilização.
+  const now = new Date();
+  const refresh = buildRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: refresh.hash, lastUsedAt: now, ...clientInfo(req) },
+      $push: { previousTokenHashes: presentedHash }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'reuse-detected');
+    return { error: 'reused' };
+  }
+
+  return {
+    token: generateToken(user, rotated._id),
+    refreshToken: refresh.token,
+    session: rotated
+  };
+}
+
+// Identifica a sessão a partir de um refresh token (sem validar o segredo atual)
+async function findSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session) return null;
+
+  const presentedHash = hashToken(parsed.secret);
+  if (presentedHash !== session.tokenHash && !session.previousTokenHashes.includes(presentedHash)) {
+    return null;
+  }
+  return session;
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// Encerra todas as sessões ativas de um usuário; retorna quantas foram revogadas.
+// exceptSessionId permite manter a sessão atual (ex.: troca de senha).
+async function revokeAllSessions(userId, reason = 'logout-all', exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+// true se a sessão existe, não foi revogada e não expirou
+async function isSessionActive(sessionId) {
+  if (!sessionId || !/^[a-f0-9]{24}$/i.test(sessionId)) return false;
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return !!session && session.isActive();
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
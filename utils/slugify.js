@@ -0,0 +1,26 @@
+// Converte um texto em slug para URLs: "Filtros de Óleo" → "filtros-de-oleo"
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // remove acentos
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
+
+// Gera um slug único na coleção do model, acrescentando -2, -3... se preciso.
+// excludeId evita conflito do documento com ele mesmo em atualizações.
+async function uniqueSlug(Model, text, excludeId = null) {
+  const base = slugify(text) || 'item';
+  let candidate = base;
+
+  for (let n = 2; ; n++) {
+    const filter = { slug: candidate };
+    if (excludeId) filter._id = { $ne: excludeId };
+    if (!(await Model.exists(filter))) return candidate;
+    candidate = `${base}-${n}`;
+  }
+}
+
+module.exports = { slugify, uniqueSlug };
@@ -0,0 +1,78 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Texto exibido de uma célula do Excel (trata fórmulas, links e rich text)
+function cellToValue(cell) {
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return String(value.result);
+    if (value.hyperlink) return String(value.text && value.text.richText
+      ? value.text.richText.map(r => r.text).join('')
+      : value.text || value.hyperlink);
+    if (value.richText) return value.richText.map(r => r.text).join('');
+    return cell.text;
+  }
+  return String(value);
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col] = cellToValue(cell).trim();
+  });
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    headers.forEach((header, col) => {
+      if (header) record[header] = cellToValue(row.getCell(col)).trim();
+    });
+    rows.push(record);
+  });
+  return rows;
+}
+
+function parseCsv(buffer) {
+  // Excel em português exporta CSV com ";" — aceita os dois separadores
+  const firstLine = buffer.toString('utf8').split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  return parse(buffer, {
+    bom: true,
+    columns: header => header.map(h => String(h).trim()),
+    delimiter,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true
+  });
+}
+
+// Lê um arquivo CSV ou XLSX e devolve uma lista de objetos { cabeçalho: valor }
+async function parseSpreadsheet(buffer, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (ext === '.xlsx') return parseXlsx(buffer);
+  if (ext === '.csv') return parseCsv(buffer);
+  throw new Error(`Formato não suportado: ${ext || 'desconhecido'}`);
+}
+
+// CSV aberto no Excel: texto que seria interpretado como fórmula (=, +, -, @, tab, CR)
+// ganha um apóstrofo na frente. Usar como cast: { string: escapeFormula } do csv-stringify.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeFormula(value) {
+  return FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+module.exports = { SUPPORTED_EXTENSIONS, parseSpreadsheet, escapeFormula };
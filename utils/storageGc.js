@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Carousel = require('../models/Carousel');
+const Post = require('../models/Post');
+const { BUCKET_NAME, getBucket, gridfsFilenameFromUrl } = require('./gridfs');
+
+// Uploads mais novos que isso nunca são apagados: o formulário pode ter
+// enviado a imagem e ainda não ter salvo o produto/carrossel.
+const DEFAULT_GRACE_HOURS = 24;
+
+// Links para /api/files/<nome> dentro do conteúdo dos posts (HTML ou Markdown)
+const FILE_LINK_PATTERN = /\/api\/files\/([^\s"'()<>?#\\]+)/g;
+
+function filesCollection() {
+  return mongoose.connection.db.collection(`${BUCKET_NAME}.files`);
+}
+
+function addUrl(set, url) {
+  const filename = gridfsFilenameFromUrl(url);
+  if (filename) set.add(filename);
+}
+
+function addLinksFromText(set, text) {
+  if (!text) return;
+  for (const match of String(text).matchAll(FILE_LINK_PATTERN)) {
+    try {
+      set.add(decodeURIComponent(match[1]));
+    } catch {
+      set.add(match[1]);
+    }
+  }
+}
+
+// Nomes de arquivo do GridFS referenciados por produtos, carrossel e posts
+async function collectReferencedFilenames() {
+  const referenced = new Set();
+
+  const products = Product.find({}, { imageUrl: 1, 'images.url': 1, 'documents.url': 1 }).lean().cursor();
+  for await (const p of products) {
+    addUrl(referenced, p.imageUrl);
+    (p.images || []).forEach(img => addUrl(referenced, img.url));
+    (p.documents || []).forEach(doc => addUrl(referenced, doc.url));
+  }
+
+  const slides = Carousel.find({}, { imageUrl: 1, fullImageUrl: 1 }).lean().cursor();
+  for await (const s of slides) {
+    addUrl(referenced, s.imageUrl);
+    addUrl(referenced, s.fullImageUrl);
+  }
+
+  const posts = Post.find({}, { 'coverImage.url': 1, content: 1, contentHtml: 1 }).lean().cursor();
+  for await (const post of posts) {
+    addUrl(referenced, post.coverImage && post.coverImage.url);
+    addLinksFromText(referenced, post.content);
+    addLinksFromText(referenced, post.contentHtml);
+  }
+
+  return referenced;
+}
+
+// Resumo de uso do bucket: total, por tipo de conteúdo e quanto é variante de imagem
+async function storageSummary() {
+  const [result] = await filesCollection().aggregate([
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, files: { $sum: 1 }, bytes: { $sum: '$length' } } }],
+        byType: [
+          { $group: { _id: { $ifNull: ['$contentType', '$metadata.contentType'] }, files: { $sum: 1 }, bytes: { $sum: '$length' } } },
+          { $sort: { bytes: -1 } }
+        ],
+        variants: [
+          { $match: { 'metadata.parent': { $exists: true } } },
+          { $group: { _id: null, files: { $sum: 1 }, bytes: { $sum: '$length' } } }
+        ]
+      }
+    }
+  ]).toArray();
+
+  const totals = result.totals[0] || { files: 0, bytes: 0 };
+  const variants = result.variants[0] || { files: 0, bytes: 0 };
+
+  return {
+    files: totals.files,
+    bytes: totals.bytes,
+    variants: { files: variants.files, bytes: variants.bytes },
+    byContentType: result.byType.map(t => ({
+      contentType: t._id || 'desconhecido',
+      files: t.files,
+      bytes: t.bytes
+    }))
+  };
+}
+
+// Procura arquivos sem referência. Variantes (thumb/card/webp) seguem o arquivo
+// principal: só são órfãs quando o principal também é.
+// Com dryRun=false os órfãos fora do período de carência são apagados.
+async function collectGarbage({ dryRun = true, graceHours = DEFAULT_GRACE_HOURS } = {}) {
+  const referenced = await collectReferencedFilenames();
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+
+  const orphans = [];
+  let referencedCount = 0;
+  let recent = 0;
+
+  const cursor = filesCollection().find({}, {
+    projection: { filename: 1, length: 1, uploadDate: 1, contentType: 1, 'metadata.parent': 1, 'metadata.contentType': 1 }
+  });
+
+  for await (const file of cursor) {
+    const owner = (file.metadata && file.metadata.parent) || file.filename;
+    if (referenced.has(owner) || referenced.has(file.filename)) {
+      referencedCount++;
+      continue;
+    }
+    if (file.uploadDate > cutoff) {
+      recent++;
+      continue;
+    }
+    orphans.push({
+      _id: file._id,
+      filename: file.filename,
+      parent: (file.metadata && file.metadata.parent) || null,
+      contentType: file.contentType || (file.metadata && file.metadata.contentType) || null,
+      size: file.length,
+      uploadDate: file.uploadDate
+    });
+  }
+
+  let deleted = 0;
+  if (!dryRun) {
+    const bucket = getBucket();
+    for (const orphan of orphans) {
+      try {
+        await bucket.delete(orphan._id);
+        deleted++;
+      } catch (err) {
+        // Já removido por outra requisição (ex.: exclusão do produto em paralelo)
+        if (!/FileNotFound|File not found/i.test(err.message)) throw err;
+      }
+    }
+  }
+
+  return {
+    dryRun,
+    graceHours,
+    referenced: referencedCount,
+    recentUnreferenced: recent,
+    orphans: {
+      files: orphans.length,
+      bytes: orphans.reduce((sum, o) => sum + (o.size || 0), 0),
+      items: orphans.map(({ _id, ...rest }) => ({ id: _id, ...rest }))
+    },
+    deleted
+  };
+}
+
+module.exports = {
+  DEFAULT_GRACE_HOURS,
+  collectReferencedFilenames,
+  storageSummary,
+  collectGarbage
+};
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./search');
+
+// Templates de e-mail em arquivos editáveis: <nome>.subject.txt, <nome>.txt e <nome>.html (opcional).
+// Placeholders {{campo}} são substituídos pelos valores; no .html o valor é escapado.
+// MAIL_TEMPLATES_DIR aponta para uma pasta com versões personalizadas, que têm
+// prioridade sobre as padrão de templates/emails.
+const DEFAULT_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+async function readTemplateFile(filename) {
+  const dirs = [process.env.MAIL_TEMPLATES_DIR, DEFAULT_DIR].filter(Boolean);
+  for (const dir of dirs) {
+    try {
+      return await fs.promises.readFile(path.join(dir, filename), 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return null;
+}
+
+function fill(template, vars, escape) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = vars[key] === undefined || vars[key] === null ? '' : String(vars[key]);
+    return escape ? escapeHtml(value) : value;
+  });
+}
+
+// Renderiza um template de e-mail. Retorna { subject, text, html? }.
+async function renderEmail(name, vars = {}) {
+  const [subject, text, html] = await Promise.all([
+    readTemplateFile(`${name}.subject.txt`),
+    readTemplateFile(`${name}.txt`),
+    readTemplateFile(`${name}.html`)
+  ]);
+  if (subject === null || text === null) {
+    throw new Error(`Template de e-mail não encontrado: ${name}`);
+  }
+
+  const rendered = {
+    subject: fill(subject, vars, false).trim(),
+    text: fill(text, vars, false)
+  };
+  if (html !== null) rendered.html = fill(html, vars, true);
+  return rendered;
+}
+
+module.exports = { renderEmail };
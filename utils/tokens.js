@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Gera um token aleatório seguro para ser enviado ao cliente
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Hash SHA-256 (hex) usado para guardar tokens no banco sem o valor original
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = { randomToken, hashToken };
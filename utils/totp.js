@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+// TOTP (RFC 6238) compatível com Google Authenticator, Authy etc.:
+// SHA-1, 6 dígitos, janelas de 30 segundos.
+const DIGITS = 6;
+const PERIOD = 30;
+// Tolerância de relógio: aceita a janela anterior e a seguinte
+const WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Segredo base32 inválido');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Gera um novo segredo (160 bits, em base32)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD);
+}
+
+function generateCode(secret, now = Date.now()) {
+  return hotp(secret, currentStep(now));
+}
+
+// Verifica o código e devolve a janela (step) aceita, ou null.
+// Passar lastUsedStep impede reutilizar o mesmo código (ou um mais antigo).
+function verifyCode(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let i = -WINDOW; i <= WINDOW; i++) {
+    const candidate = step + i;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+
+    const expected = Buffer.from(hotp(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return candidate;
+  }
+  return null;
+}
+
+// URI otpauth:// para gerar o QR code no app autenticador
+function buildOtpauthUri(secret, accountName, issuer = process.env.TOTP_ISSUER || 'Total Filter') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Códigos de recuperação no formato xxxx-xxxx (uso único)
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};